@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Headless batch extraction.  A project file saved in the browser serves as
+ * the recipe: its calibrations and labeled curve references are applied to
+ * each PDF given, and the data is written as one file per page or figure
+ * region, named after the PDF.
+ *
+ *   node bin/unplotter.js --recipe figure.unplotter.json reports/*.pdf
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+import { loadDocument, applyProject, convert, format, DataExporter, ProjectManager } from '../src/index.js';
+
+const USAGE = `Usage: unplotter --recipe <project.json> [options] <file.pdf>...
+
+Applies the calibrations and labeled curves of a saved UnPlotter project to
+each PDF and writes the extracted data next to it (or into --out).
+
+Options:
+  -r, --recipe <file>      UnPlotter project file to apply (required)
+  -o, --out <dir>          Output directory (default: the PDF's directory)
+  -f, --format <list>      csv, json and/or xlsx, comma separated (default: csv)
+      --layout <layout>    CSV layout: long (default) or wide
+      --delimiter <name>   CSV delimiter: comma, semicolon or tab (default:
+                           comma, or semicolon with a decimal comma)
+      --decimal <char>     CSV decimal separator: . (default) or ,
+      --no-header          Leave out the CSV header row
+      --resample <grid>    N evenly spaced X values, log:N log-spaced values,
+                           or a file of X values (first column)
+      --merge-segments     Join each series' curves into one curve
+  -v, --verbose            Show extraction progress
+  -h, --help               Show this help`;
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+const DELIMITERS = ['comma', 'semicolon', 'tab'];
+const DECIMALS = ['.', ','];
+
+async function main() {
+    const { values: args, positionals: pdfPaths } = parseArgs({
+        allowPositionals: true,
+        options: {
+            recipe: { type: 'string', short: 'r' },
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f', default: 'csv' },
+            layout: { type: 'string', default: 'long' },
+            delimiter: { type: 'string' },
+            decimal: { type: 'string', default: '.' },
+            'no-header': { type: 'boolean', default: false },
+            resample: { type: 'string' },
+            'merge-segments': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (args.help) {
+        console.info(USAGE);
+        return 0;
+    }
+    if (!args.recipe || pdfPaths.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    // Checked once here rather than failing every PDF at write time; like
+    // the browser, a decimal comma defaults to the semicolon delimiter
+    const delimiter = args.delimiter || (args.decimal === ',' ? 'semicolon' : 'comma');
+    const csvError = checkCsvOptions(delimiter, args.decimal);
+    if (csvError) {
+        console.error(`${csvError}\n\n${USAGE}`);
+        return 2;
+    }
+
+    // The extraction classes narrate every step for the browser console
+    if (!args.verbose) {
+        console.log = () => {};
+    }
+
+    const formats = args.format.split(',').map(f => f.trim().toLowerCase());
+    const unknown = formats.filter(f => !FORMATS.includes(f));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown format "${unknown.join(', ')}" (use ${FORMATS.join(', ')})`);
+    }
+
+    const recipe = new ProjectManager().parseProject(await readFile(args.recipe, 'utf8'));
+
+    const options = {
+        mergeSegments: args['merge-segments'],
+        resample: await parseResample(args.resample),
+        csv: {
+            layout: args.layout,
+            delimiter: delimiter,
+            decimal: args.decimal,
+            header: !args['no-header']
+        }
+    };
+
+    let failures = 0;
+    for (const pdfPath of pdfPaths) {
+        try {
+            const written = await extractFile(pdfPath, recipe, formats, options, args.out);
+            written.forEach(file => console.info(file));
+            if (written.length === 0) {
+                console.error(`${pdfPath}: no labeled curves could be extracted`);
+                failures++;
+            }
+        } catch (error) {
+            console.error(`${pdfPath}: ${error.message}`);
+            failures++;
+        }
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Problem with the CSV delimiter and decimal separator, or null
+ */
+function checkCsvOptions(delimiter, decimal) {
+    if (!DELIMITERS.includes(delimiter)) {
+        return `Unknown delimiter "${delimiter}" (use ${DELIMITERS.join(', ')})`;
+    }
+    if (!DECIMALS.includes(decimal)) {
+        return `Unknown decimal separator "${decimal}" (use ${DECIMALS.join(' or ')})`;
+    }
+    if (decimal === ',' && delimiter === 'comma') {
+        return 'A decimal comma needs a semicolon or tab delimiter';
+    }
+    return null;
+}
+
+/**
+ * --resample value as DataExporter resample options
+ */
+async function parseResample(value) {
+    if (!value) {
+        return { mode: 'none' };
+    }
+
+    const match = /^(log:)?(\d+)$/.exec(value);
+    if (match) {
+        return { mode: match[1] ? 'log' : 'uniform', count: parseInt(match[2], 10) };
+    }
+
+    const values = new DataExporter().parseGridValues(await readFile(value, 'utf8'));
+    return { mode: 'values', values };
+}
+
+/**
+ * Apply the recipe to one PDF and write its data; returns the paths written
+ */
+async function extractFile(pdfPath, recipe, formats, options, outDir) {
+    const doc = await loadDocument(await readFile(pdfPath), { pdfjsLib });
+    if (!new ProjectManager().matchesDocument(recipe, doc.pdfDocument)) {
+        console.warn(`${pdfPath} is not the PDF the recipe was saved for; applying it anyway`);
+    }
+
+    const { labeledCurves, calibrators } = await applyProject(recipe, doc);
+    const calibratorFor = (lc) => calibrators.get(lc.calibrationKey) || null;
+
+    const directory = outDir || path.dirname(pdfPath);
+    await mkdir(directory, { recursive: true });
+    const baseName = path.basename(pdfPath, path.extname(pdfPath));
+    const written = [];
+
+    if (labeledCurves.length === 0) {
+        return written;
+    }
+
+    // A workbook holds every page and figure, one sheet per series
+    if (formats.includes('xlsx')) {
+        try {
+            const data = convert(labeledCurves, calibratorFor, options);
+            const file = path.join(directory, `${baseName}.xlsx`);
+            await writeFile(file, format(data, 'xlsx', getSummary(recipe, pdfPath)));
+            written.push(file);
+        } catch (error) {
+            console.error(`${pdfPath}, Excel workbook: ${error.message}`);
+        }
+    }
+
+    // CSV and JSON: one file per page or figure region, as in the browser
+    const groups = new Map();
+    labeledCurves.forEach(lc => {
+        if (!groups.has(lc.calibrationKey)) groups.set(lc.calibrationKey, []);
+        groups.get(lc.calibrationKey).push(lc);
+    });
+
+    for (const [key, group] of groups) {
+        const suffix = groups.size > 1
+            ? '_' + describeCalibrationKey(recipe, key).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+            : '';
+
+        let data;
+        try {
+            data = convert(group, calibratorFor, options);
+        } catch (error) {
+            console.error(`${pdfPath}, ${describeCalibrationKey(recipe, key)}: ${error.message}`);
+            continue;
+        }
+
+        for (const type of formats.filter(f => f !== 'xlsx')) {
+            const file = path.join(directory, `${baseName}${suffix}.${type}`);
+            await writeFile(file, format(data, type, options.csv));
+            written.push(file);
+        }
+    }
+
+    return written;
+}
+
+/**
+ * Readable name of a calibration key, as the browser shows it
+ */
+function describeCalibrationKey(recipe, key) {
+    const match = /^page-(\d+)(?:\/fig-(\d+))?$/.exec(key || '');
+    if (!match) return 'unknown page';
+
+    if (match[2]) {
+        const figure = (recipe.figureRegions || []).find(f => f.id === parseInt(match[2], 10));
+        return `${figure ? figure.name : 'figure'} (page ${match[1]})`;
+    }
+    return `page ${match[1]}`;
+}
+
+/**
+ * Summary sheet details for an Excel export (see DataExporter.exportAsXLSX)
+ */
+function getSummary(recipe, pdfPath) {
+    const calibrations = {};
+    Object.entries(recipe.calibrations).forEach(([key, snapshot]) => {
+        const match = /^page-(\d+)/.exec(key);
+        calibrations[key] = {
+            name: describeCalibrationKey(recipe, key),
+            pageNum: match ? parseInt(match[1], 10) : null,
+            mode: snapshot.mode || null,
+            state: snapshot.state
+        };
+    });
+
+    return { fileName: path.basename(pdfPath), calibrations };
+}
+
+main().then(
+    code => { process.exitCode = code; },
+    error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+);
@@ -29,6 +29,25 @@ export class AxisCalibrator {
             yAxis: null
         };
 
+        // Tick mark / gridline reference points: [{ points, value, curveIndex }]
+        this.tickReferences = {
+            xAxis: [],
+            yAxis: []
+        };
+
+        // Residual of the last tick reference fit for each axis
+        this.fitResiduals = {
+            xAxis: null,
+            yAxis: null
+        };
+
+        // Point-pair references for an affine mapping: [{ pdf: {x, y}, data: {x, y} }]
+        this.affineReferences = [];
+
+        // Fitted affine transform from raw PDF coordinates to data values, or null
+        this.affineTransform = null;
+        this.affineResidual = null;
+
         // Current page rotation (0, 90, 180, 270)
         this.rotation = 0;
 
@@ -74,6 +93,11 @@ export class AxisCalibrator {
     }
 
     _recomputeSegmentForAxis(axisKey) {
+        if (this.tickReferences[axisKey].length > 0) {
+            this.fitTickReferences(axisKey === 'xAxis' ? 'x' : 'y');
+            return;
+        }
+
         const points = this.calibrationCurves[axisKey];
         if (!points || points.length === 0) {
             return;
@@ -152,7 +176,8 @@ export class AxisCalibrator {
     }
 
     checkIfFullyCalibrated() {
-        this.isCalibrated = this.isAxisCalibrated('x') && this.isAxisCalibrated('y');
+        this.isCalibrated = this.affineTransform !== null ||
+                            (this.isAxisCalibrated('x') && this.isAxisCalibrated('y'));
         return this.isCalibrated;
     }
 
@@ -166,6 +191,14 @@ export class AxisCalibrator {
 
         this.scaleType[axisKey] = type;
         console.log(`Set ${axis}-axis scale type to`, type);
+
+        // Tick and point references are fitted in linear or log10 space
+        if (this.tickReferences[axisKey].length > 0) {
+            this.fitTickReferences(axis);
+        }
+        if (this.affineReferences.length > 0) {
+            this.solveAffine();
+        }
     }
 
     getScaleType(axis) {
@@ -242,6 +275,10 @@ export class AxisCalibrator {
     }
 
     convertPoint(pdfX, pdfY) {
+        if (this.affineTransform) {
+            return this._convertAffine(pdfX, pdfY);
+        }
+
         const factors = this.getScaleFactors();
         if (!factors) {
             return null;
@@ -308,6 +345,144 @@ export class AxisCalibrator {
         };
     }
 
+    _convertAffine(pdfX, pdfY) {
+        const t = this.affineTransform;
+        const u = t.a * pdfX + t.c * pdfY + t.e;
+        const v = t.b * pdfX + t.d * pdfY + t.f;
+
+        return {
+            x: this.getScaleType('x') === 'log' ? Math.pow(10, u) : u,
+            y: this.getScaleType('y') === 'log' ? Math.pow(10, v) : v
+        };
+    }
+
+    addAffineReference(pdfPoint, dataPoint = { x: null, y: null }) {
+        this.affineReferences.push({
+            pdf: { x: pdfPoint.x, y: pdfPoint.y },
+            data: { x: dataPoint.x, y: dataPoint.y }
+        });
+
+        this.solveAffine();
+        return this.affineReferences.length - 1;
+    }
+
+    setAffineReferenceValue(index, coord, value) {
+        const reference = this.affineReferences[index];
+        if (!reference) return;
+
+        const parsed = parseFloat(value);
+        reference.data[coord] = isNaN(parsed) ? null : parsed;
+
+        this.solveAffine();
+    }
+
+    removeAffineReference(index) {
+        this.affineReferences.splice(index, 1);
+        this.solveAffine();
+    }
+
+    getAffineReferences() {
+        return this.affineReferences;
+    }
+
+    getAffineResidual() {
+        return this.affineResidual;
+    }
+
+    /**
+     * Solve a full affine mapping from raw PDF coordinates to data values.
+     *
+     *   dataX = a * pdfX + c * pdfY + e
+     *   dataY = b * pdfX + d * pdfY + f
+     *
+     * Needs three or more references with both values entered whose page
+     * positions are not collinear; more than three are fitted by least
+     * squares.  Log axes are fitted in log10 space.  Because the mapping is
+     * taken straight from PDF coordinates, rotated or sheared plots (e.g.
+     * inside transformed Form XObjects) need no axis alignment, and the page
+     * view rotation does not affect it.
+     *
+     * Returns { x, y, count } RMS residuals or null if no mapping can be solved.
+     */
+    solveAffine() {
+        this.affineTransform = null;
+        this.affineResidual = null;
+
+        const xLog = this.getScaleType('x') === 'log';
+        const yLog = this.getScaleType('y') === 'log';
+
+        const references = this.affineReferences.filter(r =>
+            r.data.x !== null && isFinite(r.data.x) && r.data.y !== null && isFinite(r.data.y));
+
+        if (references.length < 3) {
+            this.checkIfFullyCalibrated();
+            return null;
+        }
+
+        if ((xLog && references.some(r => r.data.x <= 0)) || (yLog && references.some(r => r.data.y <= 0))) {
+            console.error('Log scale requires positive reference values');
+            this.checkIfFullyCalibrated();
+            return null;
+        }
+
+        // Center page coordinates for a well-conditioned solve
+        const n = references.length;
+        const meanX = references.reduce((s, r) => s + r.pdf.x, 0) / n;
+        const meanY = references.reduce((s, r) => s + r.pdf.y, 0) / n;
+
+        let sxx = 0, sxy = 0, syy = 0;
+        references.forEach(r => {
+            const dx = r.pdf.x - meanX;
+            const dy = r.pdf.y - meanY;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+        });
+
+        // Collinear points leave one direction of the page unconstrained
+        const det = sxx * syy - sxy * sxy;
+        if (det <= 1e-6 * (sxx + syy) * (sxx + syy)) {
+            console.error('Affine calibration error: reference points are collinear');
+            this.checkIfFullyCalibrated();
+            return null;
+        }
+
+        const fitCoord = (target) => {
+            const values = references.map(target);
+            const meanV = values.reduce((s, v) => s + v, 0) / n;
+
+            let sxv = 0, syv = 0;
+            references.forEach((r, i) => {
+                sxv += (r.pdf.x - meanX) * (values[i] - meanV);
+                syv += (r.pdf.y - meanY) * (values[i] - meanV);
+            });
+
+            // Normal equations of the centered least-squares problem
+            const kx = (sxv * syy - syv * sxy) / det;
+            const ky = (syv * sxx - sxv * sxy) / det;
+            const k0 = meanV - kx * meanX - ky * meanY;
+
+            let sse = 0;
+            references.forEach((r, i) => {
+                const residual = values[i] - (kx * r.pdf.x + ky * r.pdf.y + k0);
+                sse += residual * residual;
+            });
+
+            return { kx, ky, k0, rms: Math.sqrt(sse / n) };
+        };
+
+        const fx = fitCoord(r => xLog ? Math.log10(r.data.x) : r.data.x);
+        const fy = fitCoord(r => yLog ? Math.log10(r.data.y) : r.data.y);
+
+        this.affineTransform = { a: fx.kx, b: fy.kx, c: fx.ky, d: fy.ky, e: fx.k0, f: fy.k0 };
+        this.affineResidual = { x: fx.rms, y: fy.rms, count: n };
+
+        console.log(`Solved affine calibration from ${n} points:`, this.affineTransform, this.affineResidual);
+
+        this.checkIfFullyCalibrated();
+        return this.affineResidual;
+    }
+
     /**
      * Synthesize the calibration for the perpendicular axis from the 1:1 scale constraint.
      *
@@ -361,6 +536,259 @@ export class AxisCalibrator {
         return this.isCalibrated;
     }
 
+    /**
+     * Suggest min/max values and scale type for an axis from numeric tick labels.
+     *
+     * axis   - 'x' or 'y'; its calibration segment must already be set
+     * labels - [{ value, x, y, height, bounds }] in raw PDF coordinates,
+     *          as produced by TextExtractor
+     *
+     * Labels just outside the segment, on whichever side has more of them,
+     * are fitted against their position along the axis both linearly and in
+     * log10 space.  The fit is evaluated at the segment ends, so axis lines
+     * that overshoot the first and last tick still get the right values.
+     * Returns null when no consistent row of at least two labels is found.
+     */
+    suggestCalibrationFromLabels(axis, labels) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        const segment = this.calibrationSegments[axisKey];
+
+        if (!segment || !labels || labels.length < 2) {
+            return null;
+        }
+
+        const isX = axis === 'x';
+        const lo = isX ? segment.x1 : segment.y1;
+        const hi = isX ? segment.x2 : segment.y2;
+        const acrossLo = isX ? segment.y1 : segment.x1;
+        const acrossHi = isX ? segment.y2 : segment.x2;
+
+        const length = hi - lo;
+        if (length <= 0) {
+            return null;
+        }
+        const margin = 0.05 * length;
+
+        // Split candidate labels by which side of the axis they sit on
+        const sides = { before: [], after: [] };
+        labels.forEach(label => {
+            const center = this._mapPdfToAxisSpace(label.x, label.y);
+            const along = isX ? center.x : center.y;
+            if (along < lo - margin || along > hi + margin) return;
+
+            const b = label.bounds;
+            const corners = b
+                ? [[b.minX, b.minY], [b.maxX, b.minY], [b.minX, b.maxY], [b.maxX, b.maxY]]
+                    .map(([px, py]) => this._mapPdfToAxisSpace(px, py))
+                    .map(p => isX ? p.y : p.x)
+                : [isX ? center.y : center.x];
+            const nearEdgeBefore = Math.max(...corners);
+            const nearEdgeAfter = Math.min(...corners);
+            const reach = 4 * label.height + 5;
+
+            if (nearEdgeBefore <= acrossLo && nearEdgeBefore > acrossLo - reach) {
+                sides.before.push({ value: label.value, along, edge: nearEdgeBefore, height: label.height });
+            } else if (nearEdgeAfter >= acrossHi && nearEdgeAfter < acrossHi + reach) {
+                sides.after.push({ value: label.value, along, edge: nearEdgeAfter, height: label.height });
+            }
+        });
+
+        let candidates = sides.before.length >= sides.after.length ? sides.before : sides.after;
+        if (candidates.length < 2) {
+            return null;
+        }
+
+        // Keep the row of labels aligned with the median edge position
+        const edges = candidates.map(c => c.edge).sort((a, b) => a - b);
+        const medianEdge = edges[Math.floor(edges.length / 2)];
+        candidates = candidates.filter(c => Math.abs(c.edge - medianEdge) <= 0.75 * c.height);
+
+        const positions = new Set(candidates.map(c => c.along.toFixed(3)));
+        if (candidates.length < 2 || positions.size < 2) {
+            return null;
+        }
+
+        const xs = candidates.map(c => c.along);
+        const values = candidates.map(c => c.value);
+
+        const linear = this._fitLine(xs, values);
+        const valueRange = Math.max(...values) - Math.min(...values);
+        const linearResidual = valueRange > 0 ? linear.rms / valueRange : Infinity;
+
+        let log = null;
+        let logResidual = Infinity;
+        if (values.every(v => v > 0)) {
+            const logValues = values.map(v => Math.log10(v));
+            log = this._fitLine(xs, logValues);
+            const logRange = Math.max(...logValues) - Math.min(...logValues);
+            logResidual = logRange > 0 ? log.rms / logRange : Infinity;
+        }
+
+        // Two labels fit either model exactly, so only switch to log when
+        // there are enough labels for it to be clearly better
+        const useLog = log !== null && candidates.length >= 3 && logResidual < 0.5 * linearResidual;
+        const residual = useLog ? logResidual : linearResidual;
+
+        if (!isFinite(residual) || residual > 0.1) {
+            return null;
+        }
+
+        const evaluate = (s) => useLog
+            ? Math.pow(10, log.intercept + log.slope * s)
+            : linear.intercept + linear.slope * s;
+        const tidy = (v) => Math.abs(v) < 1e-9 * (valueRange || 1) ? 0 : parseFloat(v.toPrecision(6));
+
+        return {
+            min: tidy(evaluate(lo)),
+            max: tidy(evaluate(hi)),
+            scaleType: useLog ? 'log' : 'linear',
+            labelCount: candidates.length,
+            residual: residual
+        };
+    }
+
+    addTickReference(axis, curve, value = null) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+
+        this.tickReferences[axisKey].push({
+            points: curve.points,
+            curveIndex: curve.curveIndex,
+            value: value
+        });
+
+        this.fitTickReferences(axis);
+        return this.tickReferences[axisKey].length - 1;
+    }
+
+    setTickValue(axis, index, value) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        const reference = this.tickReferences[axisKey][index];
+        if (!reference) return;
+
+        const parsed = parseFloat(value);
+        reference.value = isNaN(parsed) ? null : parsed;
+
+        this.fitTickReferences(axis);
+    }
+
+    removeTickReference(axis, index) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        this.tickReferences[axisKey].splice(index, 1);
+        this.fitTickReferences(axis);
+    }
+
+    getTickReferences(axis) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        return this.tickReferences[axisKey];
+    }
+
+    getFitResidual(axis) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        return this.fitResiduals[axisKey];
+    }
+
+    /**
+     * Fit the axis mapping to its tick references.
+     *
+     * Each tick is placed at the center of its bounding box along the axis
+     * (axis space), so short tick marks and full gridlines both work.  Values
+     * are fitted by least squares against position, in log10 space for log
+     * axes.  The fit is stored as a virtual segment spanning the outermost
+     * ticks with the fitted values at its ends, so getScaleFactors and
+     * convertPoint work unchanged.
+     *
+     * Returns { rms, relative, count, scaleType } or null if fewer than two
+     * ticks with distinct positions have values.
+     */
+    fitTickReferences(axis) {
+        const axisKey = axis === 'x' ? 'xAxis' : 'yAxis';
+        const isLog = this.scaleType[axisKey] === 'log';
+
+        const references = this.tickReferences[axisKey].filter(r => r.value !== null && isFinite(r.value));
+
+        this.calibrationCurves[axisKey] = null;
+        this.calibrationSegments[axisKey] = null;
+        this.calibrationValues[axisKey] = { min: null, max: null };
+        this.fitResiduals[axisKey] = null;
+
+        const positions = references.map(r => this.getTickPosition(axis, r.points));
+        if (references.length < 2 || new Set(positions.map(p => p.toFixed(3))).size < 2) {
+            this.checkIfFullyCalibrated();
+            return null;
+        }
+
+        if (isLog && references.some(r => r.value <= 0)) {
+            console.error(`${axis.toUpperCase()}-axis log scale requires positive tick values`);
+            this.checkIfFullyCalibrated();
+            return null;
+        }
+
+        const values = references.map(r => isLog ? Math.log10(r.value) : r.value);
+        const fit = this._fitLine(positions, values);
+
+        const lo = Math.min(...positions);
+        const hi = Math.max(...positions);
+        const evaluate = (s) => {
+            const v = fit.intercept + fit.slope * s;
+            return isLog ? Math.pow(10, v) : v;
+        };
+
+        // Virtual segment: fitted extent along the axis, tick extent across it
+        const extent = this.extractMinMaxFromPoints(references.flatMap(r => r.points));
+        this.calibrationSegments[axisKey] = axis === 'x'
+            ? { x1: lo, y1: extent.y1, x2: hi, y2: extent.y2 }
+            : { x1: extent.x1, y1: lo, x2: extent.x2, y2: hi };
+        this.calibrationValues[axisKey] = { min: evaluate(lo), max: evaluate(hi) };
+
+        const valueRange = Math.max(...values) - Math.min(...values);
+        this.fitResiduals[axisKey] = {
+            rms: fit.rms,
+            relative: valueRange > 0 ? fit.rms / valueRange : 0,
+            count: references.length,
+            scaleType: this.scaleType[axisKey]
+        };
+
+        console.log(`Fitted ${axis}-axis to ${references.length} ticks:`, this.fitResiduals[axisKey]);
+
+        this.checkIfFullyCalibrated();
+        return this.fitResiduals[axisKey];
+    }
+
+    /**
+     * Position of a tick mark along an axis: its bounding box center in axis space
+     */
+    getTickPosition(axis, points) {
+        const box = this.extractMinMaxFromPoints(points);
+        return axis === 'x' ? (box.x1 + box.x2) / 2 : (box.y1 + box.y2) / 2;
+    }
+
+    /**
+     * Least-squares fit of ys = intercept + slope * xs
+     */
+    _fitLine(xs, ys) {
+        const n = xs.length;
+        const meanX = xs.reduce((s, v) => s + v, 0) / n;
+        const meanY = ys.reduce((s, v) => s + v, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (xs[i] - meanX) * (xs[i] - meanX);
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        }
+
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const intercept = meanY - slope * meanX;
+
+        let sse = 0;
+        for (let i = 0; i < n; i++) {
+            const r = ys[i] - (intercept + slope * xs[i]);
+            sse += r * r;
+        }
+
+        return { slope, intercept, rms: Math.sqrt(sse / n) };
+    }
+
     reset() {
         this.calibrationSegments = {
             xAxis: null,
@@ -382,9 +810,64 @@ export class AxisCalibrator {
             yAxis: null
         };
 
+        this.tickReferences = {
+            xAxis: [],
+            yAxis: []
+        };
+
+        this.fitResiduals = {
+            xAxis: null,
+            yAxis: null
+        };
+
+        this.affineReferences = [];
+        this.affineTransform = null;
+        this.affineResidual = null;
+
         this.isCalibrated = false;
     }
 
+    /**
+     * Plain copy of everything needed to restore this calibration later.
+     * Derived values (fits, affine transform) are recomputed by setState.
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            rotation: this.rotation,
+            calibrationSegments: this.calibrationSegments,
+            calibrationValues: this.calibrationValues,
+            scaleType: this.scaleType,
+            calibrationCurves: this.calibrationCurves,
+            tickReferences: this.tickReferences,
+            affineReferences: this.affineReferences
+        }));
+    }
+
+    setState(state) {
+        this.reset();
+
+        const copy = JSON.parse(JSON.stringify(state));
+        this.rotation = copy.rotation || 0;
+        this.calibrationSegments = { ...this.calibrationSegments, ...copy.calibrationSegments };
+        this.calibrationValues = { ...this.calibrationValues, ...copy.calibrationValues };
+        this.scaleType = { ...this.scaleType, ...copy.scaleType };
+        this.calibrationCurves = { ...this.calibrationCurves, ...copy.calibrationCurves };
+        this.tickReferences = { ...this.tickReferences, ...copy.tickReferences };
+        this.affineReferences = copy.affineReferences || [];
+
+        ['x', 'y'].forEach(axis => {
+            if (this.tickReferences[axis + 'Axis'].length > 0) {
+                this.fitTickReferences(axis);
+            }
+        });
+        if (this.affineReferences.length > 0) {
+            this.solveAffine();
+        }
+
+        this.checkIfFullyCalibrated();
+        console.log('Calibration state restored:', this.getCalibrationStatus());
+    }
+
     getCalibrationStatus() {
         return {
             isCalibrated: this.isCalibrated,
@@ -392,7 +875,9 @@ export class AxisCalibrator {
             yAxisCalibrated: this.isAxisCalibrated('y'),
             segments: this.calibrationSegments,
             values: this.calibrationValues,
-            scaleType: this.scaleType
+            scaleType: this.scaleType,
+            fitResiduals: this.fitResiduals,
+            affineTransform: this.affineTransform
         };
     }
 }
@@ -0,0 +1,272 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Axis lines shorter than this fraction of the page extent are ignored
+const MIN_AXIS_FRACTION = 0.05;
+
+// Tick marks are at most this fraction of the axis they sit on
+const MAX_TICK_FRACTION = 0.1;
+
+// Padding added around a detected plot's axes to take in tick labels and
+// axis titles when proposing a figure boundary, as a fraction of its size
+const FIGURE_PADDING = 0.15;
+
+export class AxisDetector {
+    constructor() {
+        this.plots = [];
+        this.rotation = 0;
+    }
+
+    /**
+     * Find plots on a page from its extracted curves.  A plot is a long
+     * horizontal line and a long vertical line meeting at their bottom-left
+     * ends, as seen on screen at the given view rotation.  Short
+     * perpendicular strokes along each axis are collected as tick marks,
+     * and a matching top and right edge marks the plot as framed.
+     *
+     * Returns plots in reading order:
+     *   { xAxis, yAxis, xTicks, yTicks, isFrame, area, bounds }
+     * where xAxis/yAxis are { curve, curveIndex }, ticks are curve indices
+     * ordered along the axis, area is the product of the axis lengths and
+     * bounds is a proposed figure rectangle in raw PDF coordinates.
+     */
+    detect(curves, rotation = 0) {
+        this.rotation = ((rotation % 360) + 360) % 360;
+
+        const lines = curves
+            .map((curve, index) => this.describeLine(curve, index))
+            .filter(line => line !== null);
+
+        const extent = this.getExtent(curves);
+        const minLength = Math.max(10, MIN_AXIS_FRACTION * Math.max(extent.width, extent.height));
+
+        // Prefer stroked lines, but some producers paint axes as thin filled
+        // rectangles
+        let candidates = this.findCandidates(lines.filter(line => line.stroked), lines, minLength);
+        if (candidates.length === 0) {
+            candidates = this.findCandidates(lines, lines, minLength);
+        }
+
+        this.plots = this.selectPlots(candidates)
+            .sort((a, b) => (b.box.maxY - a.box.maxY) || (a.box.minX - b.box.minX))
+            .map(candidate => ({
+                xAxis: { curve: candidate.h.curve, curveIndex: candidate.h.index },
+                yAxis: { curve: candidate.v.curve, curveIndex: candidate.v.index },
+                xTicks: candidate.xTicks.map(line => line.index),
+                yTicks: candidate.yTicks.map(line => line.index),
+                isFrame: candidate.isFrame,
+                area: candidate.h.length * candidate.v.length,
+                bounds: this.getFigureBounds(candidate)
+            }));
+
+        console.log(`Detected ${this.plots.length} plot(s)`, this.plots);
+        return this.plots;
+    }
+
+    /**
+     * Map raw PDF coordinates to on-screen directions for the current
+     * rotation (the same axis space AxisCalibrator uses)
+     */
+    toViewSpace(x, y) {
+        switch (this.rotation) {
+            case 90:  return { x: y, y: -x };
+            case 180: return { x: -x, y: -y };
+            case 270: return { x: -y, y: x };
+            default:  return { x: x, y: y };
+        }
+    }
+
+    fromViewSpace(x, y) {
+        switch (this.rotation) {
+            case 90:  return { x: -y, y: x };
+            case 180: return { x: -x, y: -y };
+            case 270: return { x: y, y: -x };
+            default:  return { x: x, y: y };
+        }
+    }
+
+    /**
+     * Classify a curve as a horizontal or vertical straight line in view
+     * space, or null if it is neither
+     */
+    describeLine(curve, index) {
+        if (!curve.points || curve.points.length < 2) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        curve.points.forEach(p => {
+            const v = this.toViewSpace(p.x, p.y);
+            minX = Math.min(minX, v.x);
+            minY = Math.min(minY, v.y);
+            maxX = Math.max(maxX, v.x);
+            maxY = Math.max(maxY, v.y);
+        });
+        const width = maxX - minX;
+        const height = maxY - minY;
+
+        const horizontal = width >= height;
+        const length = horizontal ? width : height;
+        const thickness = horizontal ? height : width;
+        if (length <= 0 || thickness > Math.max(0.5, 0.02 * length)) return null;
+
+        return {
+            index: index,
+            curve: curve,
+            horizontal: horizontal,
+            stroked: !!curve.strokeStyle,
+            pos: horizontal ? (minY + maxY) / 2 : (minX + maxX) / 2,
+            min: horizontal ? minX : minY,
+            max: horizontal ? maxX : maxY,
+            length: length,
+            thickness: thickness
+        };
+    }
+
+    getExtent(curves) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        curves.forEach(curve => curve.points.forEach(p => {
+            const v = this.toViewSpace(p.x, p.y);
+            minX = Math.min(minX, v.x);
+            minY = Math.min(minY, v.y);
+            maxX = Math.max(maxX, v.x);
+            maxY = Math.max(maxY, v.y);
+        }));
+
+        if (minX > maxX) return { width: 0, height: 0 };
+        return { width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Pair long horizontal and vertical lines that meet at a bottom-left
+     * corner.  Tick marks are looked up among all lines.
+     */
+    findCandidates(axisLines, allLines, minLength) {
+        const long = this.dedupeLines(axisLines.filter(line => line.length >= minLength));
+        const horizontals = long.filter(line => line.horizontal);
+        const verticals = long.filter(line => !line.horizontal);
+        const candidates = [];
+
+        horizontals.forEach(h => {
+            verticals.forEach(v => {
+                const tol = Math.max(2, 0.03 * Math.min(h.length, v.length));
+                if (Math.abs(v.pos - h.min) > tol || Math.abs(h.pos - v.min) > tol) return;
+
+                // Very lopsided pairs are usually a rule and a table border
+                const aspect = h.length / v.length;
+                if (aspect > 8 || aspect < 1 / 8) return;
+
+                const xTicks = this.findTicks(h, allLines, tol);
+                const yTicks = this.findTicks(v, allLines, tol);
+
+                const top = horizontals.some(o => o !== h &&
+                    Math.abs(o.pos - v.max) <= tol && Math.abs(o.min - h.min) <= tol && Math.abs(o.max - h.max) <= tol);
+                const right = verticals.some(o => o !== v &&
+                    Math.abs(o.pos - h.max) <= tol && Math.abs(o.min - v.min) <= tol && Math.abs(o.max - v.max) <= tol);
+
+                candidates.push({
+                    h: h,
+                    v: v,
+                    xTicks: xTicks,
+                    yTicks: yTicks,
+                    isFrame: top && right,
+                    box: { minX: v.pos, minY: h.pos, maxX: h.max, maxY: v.max },
+                    // Ticks are the strongest sign of a real axis
+                    score: h.length + v.length + 10 * (xTicks.length + yTicks.length)
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Drop repeated lines, such as a rectangle that is both filled and
+     * stroked, keeping the first
+     */
+    dedupeLines(lines) {
+        const kept = [];
+        lines.forEach(line => {
+            const duplicate = kept.some(k => k.horizontal === line.horizontal &&
+                Math.abs(k.pos - line.pos) <= 0.5 &&
+                Math.abs(k.min - line.min) <= 0.5 &&
+                Math.abs(k.max - line.max) <= 0.5);
+            if (!duplicate) kept.push(line);
+        });
+        return kept;
+    }
+
+    /**
+     * Short lines perpendicular to an axis that touch it, ordered along the
+     * axis with one line per position
+     */
+    findTicks(axis, lines, tol) {
+        const maxLength = MAX_TICK_FRACTION * axis.length;
+
+        const ticks = lines
+            .filter(line => line.horizontal !== axis.horizontal &&
+                line.length >= 0.5 && line.length <= maxLength &&
+                line.pos >= axis.min - tol && line.pos <= axis.max + tol &&
+                line.min - tol <= axis.pos && line.max + tol >= axis.pos)
+            .sort((a, b) => a.pos - b.pos);
+
+        return ticks.filter((tick, i) => i === 0 || tick.pos - ticks[i - 1].pos > 0.5);
+    }
+
+    /**
+     * Greedily keep the best scoring candidates whose plot areas do not
+     * overlap, so bars and gridlines inside a plot are not taken as plots
+     */
+    selectPlots(candidates) {
+        const selected = [];
+
+        [...candidates].sort((a, b) => b.score - a.score).forEach(candidate => {
+            const overlaps = selected.some(s =>
+                s.h === candidate.h || s.v === candidate.v ||
+                this.overlapFraction(s.box, candidate.box) > 0.25);
+            if (!overlaps) selected.push(candidate);
+        });
+
+        return selected;
+    }
+
+    overlapFraction(a, b) {
+        const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+        const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+        if (w <= 0 || h <= 0) return 0;
+
+        const areaA = (a.maxX - a.minX) * (a.maxY - a.minY);
+        const areaB = (b.maxX - b.minX) * (b.maxY - b.minY);
+        return (w * h) / Math.max(Math.min(areaA, areaB), 1e-9);
+    }
+
+    /**
+     * Proposed figure rectangle around a plot in raw PDF coordinates, with
+     * more room below and left of the axes where tick labels and axis
+     * titles go
+     */
+    getFigureBounds(candidate) {
+        const box = candidate.box;
+        const size = Math.max(box.maxX - box.minX, box.maxY - box.minY);
+        const wide = FIGURE_PADDING * size;
+        const narrow = FIGURE_PADDING * size / 3;
+
+        const corners = [
+            this.fromViewSpace(box.minX - wide, box.minY - wide),
+            this.fromViewSpace(box.maxX + narrow, box.maxY + narrow)
+        ];
+
+        return {
+            minX: Math.min(corners[0].x, corners[1].x),
+            minY: Math.min(corners[0].y, corners[1].y),
+            maxX: Math.max(corners[0].x, corners[1].x),
+            maxY: Math.max(corners[0].y, corners[1].y)
+        };
+    }
+
+    getPlots() {
+        return this.plots;
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Filled shapes smaller than this fraction of the page extent are markers or
+// legend swatches rather than bands
+const MIN_BAND_FRACTION = 0.05;
+
+// Outline points closer than this (PDF units) are the same vertex
+const VERTEX_TOLERANCE = 1e-3;
+
+export class BandDetector {
+    constructor() {
+        this.groups = [];
+    }
+
+    /**
+     * Find filled areas that can be read as bands: closed filled outlines
+     * that are not rectangles (bars and backgrounds) and not small glyphs.
+     * Each band is offered on its own, largest first:
+     *   { key, fillColor, strokeColor, curveIndices, pointCount, area }
+     */
+    detect(curves, indices = curves.map((_, i) => i)) {
+        let pageSize = 0;
+        curves.forEach(curve => {
+            const b = this.getBounds(curve.points);
+            if (b) pageSize = Math.max(pageSize, b.maxX, b.maxY);
+        });
+        const minSize = MIN_BAND_FRACTION * pageSize;
+
+        this.groups = [];
+        indices.forEach(index => {
+            const curve = curves[index];
+            if (!curve.fillColor) return;
+
+            const outline = this.getOutline(curve.points);
+            if (outline.length < 4) return;
+
+            const b = this.getBounds(outline);
+            if (Math.max(b.maxX - b.minX, b.maxY - b.minY) < minSize) return;
+
+            const onCorner = (p) =>
+                (Math.abs(p.x - b.minX) <= VERTEX_TOLERANCE || Math.abs(p.x - b.maxX) <= VERTEX_TOLERANCE) &&
+                (Math.abs(p.y - b.minY) <= VERTEX_TOLERANCE || Math.abs(p.y - b.maxY) <= VERTEX_TOLERANCE);
+            if (outline.every(onCorner)) return;
+
+            this.groups.push({
+                key: `band-${index}`,
+                fillColor: curve.fillColor,
+                strokeColor: curve.strokeColor || null,
+                curveIndices: [index],
+                pointCount: outline.length,
+                area: (b.maxX - b.minX) * (b.maxY - b.minY)
+            });
+        });
+
+        this.groups.sort((a, b) => b.area - a.area);
+
+        console.log(`Found ${this.groups.length} filled band(s)`, this.groups);
+        return this.groups;
+    }
+
+    /**
+     * The distinct vertices of a closed outline: repeated points and the
+     * point closing the loop are dropped
+     */
+    getOutline(points) {
+        const same = (a, b) => Math.abs(a.x - b.x) <= VERTEX_TOLERANCE && Math.abs(a.y - b.y) <= VERTEX_TOLERANCE;
+
+        const outline = [];
+        points.forEach(p => {
+            if (outline.length === 0 || !same(outline[outline.length - 1], p)) {
+                outline.push(p);
+            }
+        });
+        while (outline.length > 1 && same(outline[0], outline[outline.length - 1])) {
+            outline.pop();
+        }
+        return outline;
+    }
+
+    getBounds(points) {
+        if (!points || points.length === 0) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Split a closed outline, given in data space, into its lower and upper
+     * boundaries over a shared X.  The outline is cut at its leftmost and
+     * rightmost vertices; a vertical edge closing either end of the band
+     * belongs to neither boundary.  Both boundaries are sampled at every
+     * vertex X of either one, interpolating linearly, so the points should
+     * be in a space where the outline's edges are straight (log10 of log
+     * axes).
+     *
+     * Returns [{ x, lower, upper }] sorted by x.
+     */
+    splitBoundaries(outline) {
+        if (outline.length < 3) return [];
+
+        let first = 0, last = 0;
+        outline.forEach((p, i) => {
+            if (p.x < outline[first].x) first = i;
+            if (p.x > outline[last].x) last = i;
+        });
+
+        const span = outline[last].x - outline[first].x;
+        if (!(span > 0)) return [];
+        const tol = 1e-9 * span;
+
+        // Walk both ways round the outline from the leftmost vertex
+        const walk = (step) => {
+            const chain = [outline[first]];
+            for (let i = first; i !== last;) {
+                i = (i + step + outline.length) % outline.length;
+                chain.push(outline[i]);
+            }
+            if (chain.length > 2 && Math.abs(chain[1].x - chain[0].x) <= tol) chain.shift();
+            if (chain.length > 2 && Math.abs(chain[chain.length - 2].x - chain[chain.length - 1].x) <= tol) chain.pop();
+            return chain;
+        };
+        const chains = [walk(1), walk(-1)];
+
+        const xs = chains
+            .flatMap(chain => chain.map(p => p.x))
+            .sort((a, b) => a - b)
+            .filter((x, i, sorted) => i === 0 || x - sorted[i - 1] > tol);
+
+        const sampled = chains.map(chain => xs.map(x => this.interpolate(chain, x)));
+
+        // The boundary that is higher on average is the upper one
+        const mean = (values) => {
+            const known = values.filter(v => v !== null);
+            return known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : 0;
+        };
+        const [lower, upper] = mean(sampled[0]) <= mean(sampled[1]) ? sampled : [sampled[1], sampled[0]];
+
+        return xs
+            .map((x, i) => ({ x: x, lower: lower[i], upper: upper[i] }))
+            .filter(point => point.lower !== null && point.upper !== null);
+    }
+
+    /**
+     * Y of a polyline at a given X, from the first segment spanning it
+     */
+    interpolate(chain, x) {
+        for (let i = 1; i < chain.length; i++) {
+            const a = chain[i - 1];
+            const b = chain[i];
+            if (x < Math.min(a.x, b.x) || x > Math.max(a.x, b.x)) continue;
+
+            if (a.x === b.x) return (a.y + b.y) / 2;
+            return a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+        }
+        return null;
+    }
+
+    getGroups() {
+        return this.groups;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Points closer than this (PDF units) count as the same edge or corner
+const EDGE_TOLERANCE = 0.5;
+
+// Bars whose gap is below this fraction of the bar width share a category
+// (side by side in a grouped chart)
+const GROUP_GAP = 0.1;
+
+export class BarDetector {
+    constructor() {
+        this.groups = [];
+    }
+
+    /**
+     * Find bar series among a page's curves.  Filled rectangles are put
+     * back together from the edges PathExtractor splits them into, and
+     * grouped into series by fill color, largest first:
+     *   { key, fillColor, strokeColor, bars, curveIndices, layout }
+     * where bars are rectangles ({ curveIndices, bounds }) and layout,
+     * shared by every series on the page, is what export needs to turn a
+     * rectangle into a category, baseline and top (see getLayout).
+     */
+    detect(curves, indices = curves.map((_, i) => i)) {
+        // Rectangles holding other rectangles are plot or legend backgrounds
+        const found = this.findRectangles(curves, indices);
+        const contains = (a, b) =>
+            a.minX <= b.minX + EDGE_TOLERANCE && a.maxX >= b.maxX - EDGE_TOLERANCE &&
+            a.minY <= b.minY + EDGE_TOLERANCE && a.maxY >= b.maxY - EDGE_TOLERANCE;
+        const rectangles = found.filter(rect =>
+            !found.some(other => other !== rect && contains(rect.bounds, other.bounds)));
+
+        const layout = this.getLayout(rectangles);
+        const groups = new Map();
+        const color = (c) => c ? `${c.r},${c.g},${c.b}` : '-';
+
+        rectangles.forEach(rect => {
+            const key = color(rect.fillColor);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key: key,
+                    fillColor: rect.fillColor,
+                    strokeColor: rect.strokeColor,
+                    bars: [],
+                    curveIndices: [],
+                    layout: layout
+                });
+            }
+            const group = groups.get(key);
+            group.bars.push(rect);
+            group.curveIndices.push(...rect.curveIndices);
+        });
+
+        this.groups = [...groups.values()].sort((a, b) => b.bars.length - a.bars.length);
+
+        console.log(`Found ${this.groups.length} bar series`, this.groups);
+        return this.groups;
+    }
+
+    /**
+     * Filled, axis-aligned rectangles: 're' rectangles (four [a, b, a] edge
+     * curves from one subpath) and closed four-corner polygons
+     */
+    findRectangles(curves, indices = curves.map((_, i) => i)) {
+        const subpaths = new Map();
+        indices.forEach(index => {
+            const curve = curves[index];
+            if (!curve.fillColor) return;
+
+            const key = `${curve.pathIndex}/${curve.subpathIndex}`;
+            if (!subpaths.has(key)) subpaths.set(key, []);
+            subpaths.get(key).push(index);
+        });
+
+        const rectangles = [];
+        subpaths.forEach(members => {
+            const points = members.flatMap(index => curves[index].points);
+            const bounds = {
+                minX: Math.min(...points.map(p => p.x)),
+                minY: Math.min(...points.map(p => p.y)),
+                maxX: Math.max(...points.map(p => p.x)),
+                maxY: Math.max(...points.map(p => p.y))
+            };
+            if (bounds.maxX - bounds.minX <= EDGE_TOLERANCE || bounds.maxY - bounds.minY <= EDGE_TOLERANCE) return;
+
+            // Every point must be a corner of the bounding box, and all four
+            // corners must be used
+            const corners = new Set();
+            const allOnCorners = points.every(p => {
+                const left = Math.abs(p.x - bounds.minX) <= EDGE_TOLERANCE;
+                const right = Math.abs(p.x - bounds.maxX) <= EDGE_TOLERANCE;
+                const bottom = Math.abs(p.y - bounds.minY) <= EDGE_TOLERANCE;
+                const top = Math.abs(p.y - bounds.maxY) <= EDGE_TOLERANCE;
+                if (!(left || right) || !(bottom || top)) return false;
+                corners.add(`${left ? 'l' : 'r'}${bottom ? 'b' : 't'}`);
+                return true;
+            });
+            if (!allOnCorners || corners.size !== 4) return;
+
+            const first = curves[members[0]];
+            rectangles.push({
+                curveIndices: members,
+                bounds: bounds,
+                fillColor: first.fillColor,
+                strokeColor: first.strokeColor || null
+            });
+        });
+
+        return rectangles;
+    }
+
+    /**
+     * Work out how the bars on a page are laid out, in raw PDF coordinates:
+     *   orientation - 'vertical' when bars grow along PDF y, else 'horizontal'
+     *   baseline    - the edge position most bars share (the value axis zero)
+     *   categories  - { start, end } span of each category along the other
+     *                 direction; bars side by side (grouped) or on top of
+     *                 each other (stacked) share one category
+     */
+    getLayout(rectangles) {
+        if (rectangles.length === 0) {
+            return null;
+        }
+
+        // Bars in one chart share their width; their lengths vary
+        const spread = (values) => {
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+            return mean > 0 ? sd / mean : 0;
+        };
+        const widths = rectangles.map(r => r.bounds.maxX - r.bounds.minX);
+        const heights = rectangles.map(r => r.bounds.maxY - r.bounds.minY);
+
+        let vertical;
+        if (Math.abs(spread(widths) - spread(heights)) > 1e-3) {
+            vertical = spread(widths) < spread(heights);
+        } else {
+            // Equal bars: fall back on the single bar's proportions
+            vertical = heights[0] >= widths[0];
+        }
+
+        const low = vertical ? 'minY' : 'minX';
+        const high = vertical ? 'maxY' : 'maxX';
+        const start = vertical ? 'minX' : 'minY';
+        const end = vertical ? 'maxX' : 'maxY';
+
+        // The baseline is the edge value shared by the most bars; stacked
+        // segments meet each other only in pairs
+        const counts = [];
+        rectangles.forEach(r => {
+            [r.bounds[low], r.bounds[high]].forEach(value => {
+                const match = counts.find(c => Math.abs(c.value - value) <= EDGE_TOLERANCE);
+                if (match) {
+                    match.count++;
+                } else {
+                    counts.push({ value, count: 1 });
+                }
+            });
+        });
+        counts.sort((a, b) => (b.count - a.count) || (a.value - b.value));
+        const baseline = counts[0].value;
+
+        // Merge overlapping or nearly touching spans into categories
+        const spans = rectangles
+            .map(r => ({ start: r.bounds[start], end: r.bounds[end] }))
+            .sort((a, b) => a.start - b.start);
+        const categories = [];
+        spans.forEach(span => {
+            const last = categories[categories.length - 1];
+            const gap = GROUP_GAP * (span.end - span.start);
+            if (last && span.start <= last.end + gap) {
+                last.end = Math.max(last.end, span.end);
+            } else {
+                categories.push({ ...span });
+            }
+        });
+
+        return {
+            orientation: vertical ? 'vertical' : 'horizontal',
+            baseline: baseline,
+            categories: categories
+        };
+    }
+
+    /**
+     * Category center, baseline end and top end of one bar, as PDF points
+     * on the bar's center line.  The bar end nearer the page baseline is its
+     * baseline, so bars below zero and upper segments of a stack come out
+     * right.
+     */
+    measureBar(bounds, layout) {
+        const vertical = layout.orientation === 'vertical';
+        const low = vertical ? bounds.minY : bounds.minX;
+        const high = vertical ? bounds.maxY : bounds.maxX;
+        const center = vertical ? (bounds.minX + bounds.maxX) / 2 : (bounds.minY + bounds.maxY) / 2;
+
+        // Grouped bars report the middle of their group
+        const category = layout.categories.find(c =>
+            center >= c.start - EDGE_TOLERANCE && center <= c.end + EDGE_TOLERANCE);
+        const position = category ? (category.start + category.end) / 2 : center;
+
+        const baseEnd = Math.abs(low - layout.baseline) <= Math.abs(high - layout.baseline) ? low : high;
+        const topEnd = baseEnd === low ? high : low;
+        const point = (along, across) => vertical ? { x: across, y: along } : { x: along, y: across };
+
+        return {
+            category: point(baseEnd, position),
+            base: point(baseEnd, center),
+            top: point(topEnd, center)
+        };
+    }
+
+    getGroups() {
+        return this.groups;
+    }
+}
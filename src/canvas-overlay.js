@@ -18,6 +18,15 @@ export class CanvasOverlay {
         this.multiSelectMode = false;
         this.multiSelectedIndices = new Set();
         this.highlightedCurveIndices = new Set();
+        this.referencePoints = [];
+        this.pointer = null;
+
+        // Figure regions on this page: [{ id, name, rect }], rect in PDF coordinates
+        this.regions = [];
+        this.scopeRegion = null;
+        this.regionDrawMode = false;
+        this.regionDragStart = null;
+        this.suppressClick = false;
         this.scale = 1.0;
         this.viewport = null;
         this.rotation = 0; // Add rotation tracking
@@ -59,6 +68,8 @@ export class CanvasOverlay {
         // Add event listeners
         this.overlayCanvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.overlayCanvas.addEventListener('click', (e) => this.handleClick());
+        this.overlayCanvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.overlayCanvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
     }
 
     resize() {
@@ -132,8 +143,11 @@ export class CanvasOverlay {
         this.overlayContext.lineWidth = this.overlayLineWidth;
 
         curves.forEach((curve) => {
-            this.drawCurve(curve, false);
+            if (this.isCurveInScope(curve)) {
+                this.drawCurve(curve, false);
+            }
         });
+        this.drawRegions();
     }
 
     drawCurve(curve, highlight = false) {
@@ -165,15 +179,53 @@ export class CanvasOverlay {
         ctx.restore();
     }
 
-    handleMouseMove(e) {
-        if (!this.selectionMode) return;
+    drawClippedSegments() {
+        const ctx = this.overlayContext;
+        const segments = this.pathExtractor.getClippedSegments();
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(128, 128, 128, 0.35)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+
+        segments.forEach((segment) => {
+            if (segment.points.length < 2) return;
+
+            ctx.beginPath();
+            const first = this.transformPoint(segment.points[0].x, segment.points[0].y);
+            ctx.moveTo(first.x, first.y);
+            for (let i = 1; i < segment.points.length; i++) {
+                const point = this.transformPoint(segment.points[i].x, segment.points[i].y);
+                ctx.lineTo(point.x, point.y);
+            }
+            ctx.stroke();
+        });
 
+        ctx.restore();
+    }
+
+    eventToCanvasPoint(e) {
         const rect = this.overlayCanvas.getBoundingClientRect();
         const scaleX = this.overlayCanvas.width / rect.width;
         const scaleY = this.overlayCanvas.height / rect.height;
 
-        const x = (e.clientX - rect.left) * scaleX;
-        const y = (e.clientY - rect.top) * scaleY;
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    handleMouseMove(e) {
+        if (this.regionDrawMode) {
+            this.pointer = this.eventToCanvasPoint(e);
+            if (this.regionDragStart) this.redraw();
+            return;
+        }
+
+        if (!this.selectionMode) return;
+
+        const { x, y } = this.eventToCanvasPoint(e);
+        this.pointer = { x, y };
 
         const curves = this.pathExtractor.getCurves();
         const threshold = 25;
@@ -182,6 +234,8 @@ export class CanvasOverlay {
         let minDistance = threshold;
 
         curves.forEach((curve, index) => {
+            if (!this.isCurveInScope(curve)) return;
+
             const distance = this.distanceToCurve(x, y, curve);
             if (distance < minDistance) {
                 minDistance = distance;
@@ -195,9 +249,56 @@ export class CanvasOverlay {
         }
     }
 
+    handleMouseDown(e) {
+        if (!this.regionDrawMode) return;
+
+        // Keep the canvas container from panning while a region is dragged
+        e.stopPropagation();
+        e.preventDefault();
+        this.regionDragStart = this.eventToCanvasPoint(e);
+        this.pointer = this.regionDragStart;
+    }
+
+    handleMouseUp(e) {
+        if (!this.regionDrawMode || !this.regionDragStart) return;
+
+        const start = this.regionDragStart;
+        const end = this.eventToCanvasPoint(e);
+        this.regionDragStart = null;
+        this.suppressClick = true;
+
+        // Ignore accidental clicks
+        if (Math.abs(end.x - start.x) < 10 || Math.abs(end.y - start.y) < 10) {
+            this.redraw();
+            return;
+        }
+
+        this.setRegionDrawMode(false);
+
+        const a = this.toPdfPoint(start.x, start.y);
+        const b = this.toPdfPoint(end.x, end.y);
+        const event = new CustomEvent('regionDrawn', {
+            detail: {
+                rect: {
+                    minX: Math.min(a.x, b.x),
+                    minY: Math.min(a.y, b.y),
+                    maxX: Math.max(a.x, b.x),
+                    maxY: Math.max(a.y, b.y)
+                }
+            }
+        });
+        this.overlayCanvas.dispatchEvent(event);
+    }
+
     handleClick() {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+
         if (!this.selectionMode || !this.hoveredCurve) return;
 
+        const previousSelection = this.getSelection();
         if (this.multiSelectMode) {
             this.multiSelectedIndices.add(this.hoveredCurve.curveIndex);
         } else {
@@ -209,7 +310,9 @@ export class CanvasOverlay {
         // Dispatch custom event
         const event = new CustomEvent('curveSelected', {
             detail: {
-                curve: this.hoveredCurve
+                curve: this.hoveredCurve,
+                point: this.nearestVertex(this.hoveredCurve),
+                previousSelection: previousSelection
             }
         });
         this.overlayCanvas.dispatchEvent(event);
@@ -233,11 +336,32 @@ export class CanvasOverlay {
         this.redraw();
     }
 
+    setMultiSelectedIndices(indices) {
+        this.multiSelectedIndices = new Set(indices);
+        this.redraw();
+    }
+
     clearMultiSelection() {
         this.multiSelectedIndices.clear();
         this.redraw();
     }
 
+    /**
+     * The selected curve and multi-selected curve indices, for undo
+     */
+    getSelection() {
+        return {
+            curve: this.selectedCurve,
+            indices: [...this.multiSelectedIndices]
+        };
+    }
+
+    setSelection(selection) {
+        this.selectedCurve = selection.curve;
+        this.multiSelectedIndices = new Set(selection.indices);
+        this.redraw();
+    }
+
     distanceToCurve(px, py, curve) {
         if (curve.points.length < 2) return Infinity;
 
@@ -261,6 +385,27 @@ export class CanvasOverlay {
         return minDistance;
     }
 
+    /**
+     * Vertex of a curve closest to the pointer, in PDF coordinates
+     */
+    nearestVertex(curve) {
+        if (!this.pointer || curve.points.length === 0) return null;
+
+        let nearest = null;
+        let minDistance = Infinity;
+
+        curve.points.forEach(point => {
+            const p = this.transformPoint(point.x, point.y);
+            const distance = Math.hypot(p.x - this.pointer.x, p.y - this.pointer.y);
+            if (distance < minDistance) {
+                minDistance = distance;
+                nearest = point;
+            }
+        });
+
+        return nearest ? { x: nearest.x, y: nearest.y } : null;
+    }
+
     distanceToSegment(px, py, segment) {
         const { x1, y1, x2, y2 } = segment;
 
@@ -291,6 +436,128 @@ export class CanvasOverlay {
         this.redraw();
     }
 
+    /**
+     * Inverse of transformPoint: canvas pixels back to PDF coordinates
+     */
+    toPdfPoint(canvasX, canvasY) {
+        if (!this.viewport) {
+            return { x: canvasX, y: canvasY };
+        }
+
+        const [x, y] = this.viewport.convertToPdfPoint(canvasX, canvasY);
+        return { x, y };
+    }
+
+    setRegionDrawMode(enabled) {
+        this.regionDrawMode = enabled;
+        this.regionDragStart = null;
+        this.overlayCanvas.style.pointerEvents = enabled || this.selectionMode ? 'auto' : 'none';
+        this.overlayCanvas.style.cursor = 'crosshair';
+        this.redraw();
+    }
+
+    setRegions(regions) {
+        this.regions = regions;
+        this.redraw();
+    }
+
+    /**
+     * Limit hover, selection and drawing to curves inside a figure region,
+     * or pass null to use the whole page
+     */
+    setScopeRegion(region) {
+        this.scopeRegion = region;
+        this.hoveredCurve = null;
+        this.redraw();
+    }
+
+    isCurveInScope(curve) {
+        if (!this.scopeRegion) return true;
+        return this.isCurveInRect(curve, this.scopeRegion.rect);
+    }
+
+    /**
+     * A curve belongs to a region when the center of its bounding box is inside
+     */
+    isCurveInRect(curve, rect) {
+        if (!curve.points || curve.points.length === 0) return false;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        curve.points.forEach(p => {
+            if (p.x < minX) minX = p.x;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.y > maxY) maxY = p.y;
+        });
+
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+        return cx >= rect.minX && cx <= rect.maxX && cy >= rect.minY && cy <= rect.maxY;
+    }
+
+    drawRegions() {
+        const ctx = this.overlayContext;
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 14px sans-serif';
+
+        this.regions.forEach(region => {
+            const isActive = this.scopeRegion && this.scopeRegion.id === region.id;
+            const corners = [
+                this.transformPoint(region.rect.minX, region.rect.minY),
+                this.transformPoint(region.rect.maxX, region.rect.maxY)
+            ];
+            const x = Math.min(corners[0].x, corners[1].x);
+            const y = Math.min(corners[0].y, corners[1].y);
+            const w = Math.abs(corners[1].x - corners[0].x);
+            const h = Math.abs(corners[1].y - corners[0].y);
+
+            ctx.strokeStyle = isActive ? 'rgba(52, 152, 219, 0.9)' : 'rgba(127, 140, 141, 0.6)';
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.setLineDash(isActive ? [] : [6, 4]);
+            ctx.strokeRect(x, y, w, h);
+            ctx.fillText(region.name, x + 4, y + 16);
+        });
+
+        // Rectangle being dragged
+        if (this.regionDrawMode && this.regionDragStart && this.pointer) {
+            ctx.strokeStyle = 'rgba(52, 152, 219, 0.9)';
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(
+                this.regionDragStart.x, this.regionDragStart.y,
+                this.pointer.x - this.regionDragStart.x, this.pointer.y - this.regionDragStart.y
+            );
+        }
+
+        ctx.restore();
+    }
+
+    setReferencePoints(points) {
+        this.referencePoints = points;
+        this.redraw();
+    }
+
+    drawReferencePoints() {
+        const ctx = this.overlayContext;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(40, 167, 69, 0.9)';
+        ctx.fillStyle = 'rgba(40, 167, 69, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 14px sans-serif';
+
+        this.referencePoints.forEach((point, index) => {
+            const p = this.transformPoint(point.x, point.y);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, this.highlightPointRadius, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.fillText(String(index + 1), p.x + this.highlightPointRadius + 2, p.y - this.highlightPointRadius);
+        });
+
+        ctx.restore();
+    }
+
     getMultiSelectedIndices() {
         return this.multiSelectedIndices;
     }
@@ -303,12 +570,22 @@ export class CanvasOverlay {
     redraw() {
         this.clear();
 
+        if (this.regionDrawMode && !this.selectionMode) {
+            this.drawRegions();
+            return;
+        }
+
         if (!this.selectionMode) return;
 
         const curves = this.pathExtractor.getCurves();
 
+        // Geometry hidden by a clipping path, for reference only
+        this.drawClippedSegments();
+
         // Draw all curves
         curves.forEach((curve, index) => {
+            if (!this.isCurveInScope(curve)) return;
+
             const isSelected = !this.multiSelectMode && this.selectedCurve && this.selectedCurve.curveIndex === index;
             const isMultiSelected = this.multiSelectMode && this.multiSelectedIndices.has(index);
             const isHovered = this.hoveredCurve && this.hoveredCurve.curveIndex === index;
@@ -343,6 +620,9 @@ export class CanvasOverlay {
             );
             this.drawPoint(last.x, last.y, this.highlightPointRadius);
         }
+
+        this.drawReferencePoints();
+        this.drawRegions();
     }
 
     drawPoint(x, y, radius) {
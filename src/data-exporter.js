@@ -5,22 +5,125 @@
  * See LICENSE file in the project root for full license information.
  */
 
+import { MarkerDetector } from './marker-detector.js';
+import { BarDetector } from './bar-detector.js';
+import { BandDetector } from './band-detector.js';
+import { XlsxWriter } from './xlsx-writer.js';
+
+// Segment ends closer than this (PDF units) are the same joint point
+const JOINT_TOLERANCE = 0.01;
+
 export class DataExporter {
     constructor() {
         this.labeledCurves = [];
+        this.markerDetector = new MarkerDetector();
+        this.barDetector = new BarDetector();
+        this.bandDetector = new BandDetector();
     }
 
-    prepareDataFromLabeledCurves(labeledCurves, calibrator) {
-        if (!calibrator.isCalibrated) {
-            throw new Error('Calibrator must be calibrated before exporting data');
-        }
+    /**
+     * Convert labeled curves to data values.
+     *
+     * calibrator - an AxisCalibrator used for every curve, or a function
+     *              returning the calibrator for a given labeled curve, so
+     *              curves from different pages or figures each use their own
+     *
+     * Marker series (kind 'markers') give one point per marker glyph instead
+     * of the outline points of each glyph, with x_err_low/x_err_high and
+     * y_err_low/y_err_high when the series has error bars.  Bar series
+     * (kind 'bars') give one point per bar: the category position, the top
+     * value and the value at the bar's baseline.  Band series (kind
+     * 'bands') give x, lower and upper for each filled outline.
+     *
+     * options.resample      - { mode, count, values } to put curves and
+     *                         bands on a shared X grid instead of the PDF's
+     *                         vertices (see getResampleGrid)
+     * options.mergeSegments - join each series' curves into one continuous
+     *                         curve (see mergeSegments)
+     */
+    prepareDataFromLabeledCurves(labeledCurves, calibrator, options = {}) {
+        const calibratorFor = typeof calibrator === 'function' ? calibrator : () => calibrator;
 
         this.labeledCurves = [];
-        
-        labeledCurves.forEach(({ label, curves }) => {
+        let uncalibrated = 0;
+
+        // Axis scale types of each line and band series, for resampling
+        const resamplable = [];
+
+        labeledCurves.forEach((labeledCurve) => {
+            const { label, curves, calibrationKey } = labeledCurve;
+            const calibrator = calibratorFor(labeledCurve);
+
+            if (!calibrator || !calibrator.isCalibrated) {
+                console.warn(`Skipping "${label}": its calibration is not complete`);
+                uncalibrated++;
+                return;
+            }
+
             const convertedCurves = [];
 
-            curves.forEach(curve => {
+            if (labeledCurve.kind === 'bars') {
+                const { valueAxis, points } = this.convertBars(labeledCurve, calibrator);
+                if (points.length > 0) {
+                    this.labeledCurves.push({
+                        label,
+                        kind: 'bars',
+                        calibrationKey,
+                        valueAxis: valueAxis,
+                        curves: [{
+                            strokeColor: curves[0].strokeColor || null,
+                            fillColor: curves[0].fillColor || null,
+                            strokeStyle: curves[0].strokeStyle || null,
+                            points: points
+                        }]
+                    });
+                }
+                return;
+            }
+
+            if (labeledCurve.kind === 'bands') {
+                curves.forEach(curve => {
+                    const points = this.convertBand(curve, calibrator);
+                    if (points.length > 0) {
+                        convertedCurves.push({
+                            strokeColor: curve.strokeColor || null,
+                            fillColor: curve.fillColor || null,
+                            strokeStyle: curve.strokeStyle || null,
+                            points: points
+                        });
+                    }
+                });
+                if (convertedCurves.length > 0) {
+                    const series = { label, kind: 'bands', calibrationKey, curves: convertedCurves };
+                    this.labeledCurves.push(series);
+                    resamplable.push({ series, calibrator });
+                }
+                return;
+            }
+
+            if (labeledCurve.kind === 'markers') {
+                const points = this.convertMarkers(labeledCurve, calibrator);
+                if (points.length > 0) {
+                    this.labeledCurves.push({
+                        label,
+                        kind: 'markers',
+                        calibrationKey,
+                        curves: [{
+                            strokeColor: curves[0].strokeColor || null,
+                            fillColor: curves[0].fillColor || null,
+                            strokeStyle: curves[0].strokeStyle || null,
+                            points: points
+                        }]
+                    });
+                }
+                return;
+            }
+
+            const segments = options.mergeSegments && curves.length > 1
+                ? [this.mergeSegments(curves, calibrator)]
+                : curves;
+
+            segments.forEach(curve => {
                 const convertedPoints = [];
                 curve.points.forEach(point => {
                     const converted = calibrator.convertPoint(point.x, point.y);
@@ -29,34 +132,541 @@ export class DataExporter {
                     }
                 });
                 if (convertedPoints.length > 0) {
-                    convertedCurves.push({ points: convertedPoints });
+                    convertedCurves.push({
+                        strokeColor: curve.strokeColor || null,
+                        fillColor: curve.fillColor || null,
+                        strokeStyle: curve.strokeStyle || null,
+                        points: convertedPoints
+                    });
                 }
             });
 
             if (convertedCurves.length > 0) {
-                this.labeledCurves.push({ label, curves: convertedCurves });
+                const series = { label, calibrationKey, curves: convertedCurves };
+                this.labeledCurves.push(series);
+                resamplable.push({ series, calibrator });
             }
         });
 
+        if (uncalibrated > 0 && uncalibrated === labeledCurves.length) {
+            throw new Error('Calibrator must be calibrated before exporting data');
+        }
+
+        if (options.resample && options.resample.mode && options.resample.mode !== 'none') {
+            this.resampleLabeledCurves(resamplable, options.resample);
+        }
+
         return this.labeledCurves;
     }
 
-    exportAsCSV() {
-        let csvContent = 'Label, X, Y\n';
+    /**
+     * Stitch the curves of one series (dashes, or a line the PDF producer
+     * split into pieces) into a single curve in raw PDF coordinates.  The
+     * chain starts at the segment end with the lowest data X and repeatedly
+     * takes the segment with the nearest end, reversing it when its far end
+     * is the nearer one.  A joint point repeated by both segments is kept
+     * once.  Colors and line style are those of the first curve.
+     */
+    mergeSegments(curves, calibrator) {
+        const dataX = (point) => {
+            const converted = calibrator.convertPoint(point.x, point.y);
+            return converted ? converted.x : Infinity;
+        };
+
+        const remaining = curves.filter(curve => curve.points.length > 0);
+        if (remaining.length === 0) {
+            return { ...curves[0], points: [] };
+        }
+
+        let start = 0, startReversed = false, lowest = Infinity;
+        remaining.forEach((curve, i) => {
+            const first = dataX(curve.points[0]);
+            const last = dataX(curve.points[curve.points.length - 1]);
+            if (first < lowest) { lowest = first; start = i; startReversed = false; }
+            if (last < lowest) { lowest = last; start = i; startReversed = true; }
+        });
 
+        const take = (i, reversed) => {
+            const points = remaining.splice(i, 1)[0].points;
+            return reversed ? [...points].reverse() : points;
+        };
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        const merged = [...take(start, startReversed)];
+        while (remaining.length > 0) {
+            const tail = merged[merged.length - 1];
+            let next = 0, reversed = false, nearest = Infinity;
+            remaining.forEach((curve, i) => {
+                const toFirst = distance(tail, curve.points[0]);
+                const toLast = distance(tail, curve.points[curve.points.length - 1]);
+                if (toFirst < nearest) { nearest = toFirst; next = i; reversed = false; }
+                if (toLast < nearest) { nearest = toLast; next = i; reversed = true; }
+            });
+
+            const points = take(next, reversed);
+            merged.push(...(nearest <= JOINT_TOLERANCE ? points.slice(1) : points));
+        }
+
+        return { ...curves[0], points: merged };
+    }
+
+    /**
+     * Put every curve and band onto one X grid so series can be compared
+     * point by point.  Uniform and log grids span all the series together;
+     * each curve is only sampled within its own X range, never
+     * extrapolated.  Marker and bar series keep one point per marker or
+     * bar.
+     */
+    resampleLabeledCurves(resamplable, resample) {
+        let min = Infinity, max = -Infinity;
+        resamplable.forEach(({ series }) => series.curves.forEach(curve => curve.points.forEach(point => {
+            min = Math.min(min, point.x);
+            max = Math.max(max, point.x);
+        })));
+        if (min > max) return;
+
+        const grid = this.getResampleGrid(resample, min, max);
+
+        resamplable.forEach(({ series, calibrator }) => {
+            const xLog = calibrator.getScaleType('x') === 'log';
+            const yLog = calibrator.getScaleType('y') === 'log';
+            const columns = series.kind === 'bands' ? ['lower', 'upper'] : ['y'];
+
+            series.curves = series.curves
+                .map(curve => ({
+                    ...curve,
+                    points: this.resamplePoints(curve.points, grid, columns, xLog, yLog)
+                }))
+                .filter(curve => curve.points.length > 0);
+        });
+
+        // Series with no points on the grid are left out
+        this.labeledCurves = this.labeledCurves.filter(lc => lc.curves.length > 0);
+    }
+
+    /**
+     * X values to resample onto:
+     *   uniform - count values evenly spaced from min to max
+     *   log     - count values evenly spaced in log10 from min to max
+     *   values  - the given values (a pasted or loaded X column), sorted
+     */
+    getResampleGrid(resample, min, max) {
+        if (resample.mode === 'values') {
+            const values = (resample.values || [])
+                .filter(v => Number.isFinite(v))
+                .sort((a, b) => a - b)
+                .filter((v, i, sorted) => i === 0 || v !== sorted[i - 1]);
+            if (values.length === 0) {
+                throw new Error('No X values to resample onto');
+            }
+            return values;
+        }
+
+        const count = Math.max(2, Math.round(resample.count) || 0);
+        if (resample.mode === 'log') {
+            if (min <= 0) {
+                throw new Error('A log-spaced grid needs positive X values');
+            }
+            const lo = Math.log10(min);
+            const hi = Math.log10(max);
+            return Array.from({ length: count }, (_, i) => Math.pow(10, lo + (hi - lo) * i / (count - 1)));
+        }
+        if (resample.mode === 'uniform') {
+            return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+        }
+
+        throw new Error(`Unknown resample mode "${resample.mode}"`);
+    }
+
+    /**
+     * Linear interpolation of the given columns at each grid X, in the
+     * space the axes are drawn in (log10 of log axes), so resampled points
+     * lie on the plotted line.  Points are sorted by X first; grid values
+     * outside the curve's X range are skipped.
+     */
+    resamplePoints(points, grid, columns, xLog, yLog) {
+        const toLinear = (v, log) => log ? Math.log10(v) : v;
+        const fromLinear = (v, log) => log ? Math.pow(10, v) : v;
+
+        const sorted = points
+            .filter(p => !xLog || p.x > 0)
+            .map(p => {
+                const linear = { x: toLinear(p.x, xLog) };
+                columns.forEach(column => {
+                    linear[column] = yLog && !(p[column] > 0) ? NaN : toLinear(p[column], yLog);
+                });
+                return linear;
+            })
+            .sort((a, b) => a.x - b.x);
+        if (sorted.length === 0) return [];
+
+        const resampled = [];
+        let j = 1;
+        grid.forEach(gx => {
+            const x = toLinear(gx, xLog);
+            if (!(x >= sorted[0].x && x <= sorted[sorted.length - 1].x)) return;
+
+            while (j < sorted.length - 1 && sorted[j].x < x) j++;
+            const a = sorted.length > 1 ? sorted[j - 1] : sorted[0];
+            const b = sorted.length > 1 ? sorted[j] : sorted[0];
+            const t = b.x > a.x ? (x - a.x) / (b.x - a.x) : 0;
+
+            const point = { x: gx };
+            columns.forEach(column => {
+                const v = a[column] + (b[column] - a[column]) * t;
+                point[column] = Number.isFinite(v) ? fromLinear(v, yLog) : null;
+            });
+            resampled.push(point);
+        });
+
+        return resampled;
+    }
+
+    /**
+     * Read X values from pasted or loaded text: one per line (the first
+     * field of each CSV or tab separated row) or all on one line.  Header
+     * rows and anything else that is not a number are skipped.
+     */
+    parseGridValues(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const fields = lines.length === 1
+            ? lines[0].split(/[\s,;]+/)
+            : lines.map(line => line.split(/[,;\t]/)[0].trim());
+
+        return fields
+            .filter(field => /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(field))
+            .map(field => parseFloat(field));
+    }
+
+    /**
+     * One data point per marker.  Error bar ends are converted on their own
+     * so asymmetric and log-axis errors come out right; each error is the
+     * distance from the marker value to the farthest bar end on that side.
+     */
+    convertMarkers(labeledCurve, calibrator) {
+        const glyphs = this.markerDetector.findGlyphs(labeledCurve.curves);
+        const barCurves = labeledCurve.errorBarCurves || [];
+        const bars = barCurves.length > 0
+            ? this.markerDetector.findErrorBars(glyphs, barCurves).map(found => found.bars)
+            : null;
+
+        const points = [];
+        glyphs.forEach((glyph, g) => {
+            const c = glyph.center;
+            const center = calibrator.convertPoint(c.x, c.y);
+            if (!center) return;
+
+            const point = { x: center.x, y: center.y };
+            if (bars) {
+                const errors = { x: { low: null, high: null }, y: { low: null, high: null } };
+
+                bars[g].forEach(index => {
+                    barCurves[index].points.forEach(end => {
+                        const along = calibrator.convertPoint(end.x, end.y);
+                        const axis = this.getDataAxis(c, end, calibrator);
+                        if (!along || !axis) return;
+
+                        const delta = along[axis] - center[axis];
+                        const side = delta < 0 ? 'low' : 'high';
+
+                        errors[axis][side] = Math.max(errors[axis][side] || 0, Math.abs(delta));
+                    });
+                });
+
+                // A bar on one side only means no error on the other
+                ['x', 'y'].forEach(axis => {
+                    const e = errors[axis];
+                    if (e.low !== null || e.high !== null) {
+                        point[`${axis}_err_low`] = e.low || 0;
+                        point[`${axis}_err_high`] = e.high || 0;
+                    } else {
+                        point[`${axis}_err_low`] = null;
+                        point[`${axis}_err_high`] = null;
+                    }
+                });
+            }
+            points.push(point);
+        });
+
+        return points;
+    }
+
+    /**
+     * One data point per bar, in category order.  valueAxis is the data
+     * axis the bars grow along; the category position is on the other axis.
+     */
+    convertBars(labeledCurve, calibrator) {
+        const layout = labeledCurve.barLayout;
+        let valueAxis = null;
+        const points = [];
+
+        if (!layout) {
+            return { valueAxis, points };
+        }
+
+        this.barDetector.findRectangles(labeledCurve.curves).forEach(rect => {
+            const bar = this.barDetector.measureBar(rect.bounds, layout);
+            const base = calibrator.convertPoint(bar.base.x, bar.base.y);
+            const top = calibrator.convertPoint(bar.top.x, bar.top.y);
+            const category = calibrator.convertPoint(bar.category.x, bar.category.y);
+            const axis = this.getDataAxis(bar.base, bar.top, calibrator);
+            if (!base || !top || !category || !axis) return;
+
+            valueAxis = valueAxis || axis;
+            if (axis === 'y') {
+                points.push({ x: category.x, y: top.y, baseline: base.y });
+            } else {
+                points.push({ x: top.x, y: category.y, baseline: base.x });
+            }
+        });
+
+        const categoryAxis = valueAxis === 'y' ? 'x' : 'y';
+        points.sort((a, b) => a[categoryAxis] - b[categoryAxis]);
+
+        return { valueAxis, points };
+    }
+
+    /**
+     * Lower and upper boundary of one filled outline over a shared X.  The
+     * split is done in data space, so it follows the data X whatever the
+     * page rotation, and in log10 space on log axes, where the outline's
+     * straight edges are straight.
+     */
+    convertBand(curve, calibrator) {
+        const xLog = calibrator.getScaleType('x') === 'log';
+        const yLog = calibrator.getScaleType('y') === 'log';
+        const toLinear = (v, log) => log ? Math.log10(v) : v;
+        const fromLinear = (v, log) => log ? Math.pow(10, v) : v;
+
+        const outline = [];
+        this.bandDetector.getOutline(curve.points).forEach(point => {
+            const converted = calibrator.convertPoint(point.x, point.y);
+            if (converted) {
+                outline.push({ x: toLinear(converted.x, xLog), y: toLinear(converted.y, yLog) });
+            }
+        });
+
+        return this.bandDetector.splitBoundaries(outline).map(point => ({
+            x: fromLinear(point.x, xLog),
+            lower: fromLinear(point.lower, yLog),
+            upper: fromLinear(point.upper, yLog)
+        }));
+    }
+
+    /**
+     * Which data coordinate ('x' or 'y') changes when moving from one PDF
+     * point to another.  The step is compared with the perpendicular step
+     * of the same length, which moves the other coordinate, so this holds
+     * for any page rotation and for log axes.
+     */
+    getDataAxis(from, to, calibrator) {
+        const v = { x: to.x - from.x, y: to.y - from.y };
+        if (Math.hypot(v.x, v.y) < 1e-9) return null;
+
+        const origin = calibrator.convertPoint(from.x, from.y);
+        const along = calibrator.convertPoint(to.x, to.y);
+        const across = calibrator.convertPoint(from.x - v.y, from.y + v.x);
+        if (!origin || !along || !across) return null;
+
+        const dv = { x: along.x - origin.x, y: along.y - origin.y };
+        const dw = { x: across.x - origin.x, y: across.y - origin.y };
+        return Math.abs(dv.y) * Math.abs(dw.x) >= Math.abs(dv.x) * Math.abs(dw.y) ? 'y' : 'x';
+    }
+
+    /**
+     * CSV text of the prepared data.
+     *
+     * options.layout    - 'long' (default): Label, X, Y rows with a blank line
+     *                     between curves; 'wide': one shared X column and one
+     *                     column per label, blank where a series has no
+     *                     value at that X (resample first to line them up)
+     * options.delimiter - 'comma' (default), 'semicolon' or 'tab'
+     * options.decimal   - '.' (default) or ',' for European locales
+     * options.header    - false to leave out the header row
+     */
+    exportAsCSV(options = {}) {
+        const delimiter = { comma: ', ', semicolon: ';', tab: '\t' }[options.delimiter || 'comma'];
+        const decimal = options.decimal || '.';
+        if (!delimiter) {
+            throw new Error(`Unknown CSV delimiter "${options.delimiter}"`);
+        }
+        if (decimal === ',' && delimiter === ', ') {
+            throw new Error('A decimal comma needs a semicolon or tab delimiter');
+        }
+
+        // Labels holding the delimiter, quotes or line breaks are quoted
+        const separator = delimiter.trim() || delimiter;
+        const cell = (value) => {
+            if (typeof value === 'number') {
+                return decimal === '.' ? String(value) : String(value).replace('.', decimal);
+            }
+            if (typeof value !== 'string') {
+                return '';
+            }
+            return /["\r\n]/.test(value) || value.includes(separator)
+                ? `"${value.replace(/"/g, '""')}"`
+                : value;
+        };
+        const row = (cells) => cells.map(cell).join(delimiter) + '\n';
+
+        const rows = options.layout === 'wide' ? this.getWideRows() : this.getLongRows();
+        let csvContent = options.header === false ? '' : row(rows.header);
+        rows.body.forEach(cells => {
+            csvContent += cells ? row(cells) : '\n';
+        });
+
+        return csvContent;
+    }
+
+    /**
+     * Header and rows (null for a blank separator line) of the long layout
+     */
+    getLongRows() {
+        // Error, baseline and band columns only appear when some series has them
+        const extraColumns = ['x_err_low', 'x_err_high', 'y_err_low', 'y_err_high', 'baseline', 'lower', 'upper']
+            .filter(column => this.labeledCurves.some(lc =>
+                lc.curves.some(curve => curve.points.some(point => column in point))));
+
+        const body = [];
         this.labeledCurves.forEach(labeledCurve => {
             labeledCurve.curves.forEach((curve, curveIdx) => {
                 if (curveIdx > 0) {
-                    csvContent += '\n';
+                    body.push(null);
                 }
+                // Bands have no Y of their own
                 curve.points.forEach(point => {
-                    csvContent += `${labeledCurve.label}, ${point.x}, ${point.y}\n`;
+                    body.push([labeledCurve.label, ...['x', 'y', ...extraColumns].map(column => point[column])]);
                 });
             });
-            csvContent += '\n';
+            body.push(null);
         });
 
-        return csvContent;
+        return { header: ['Label', 'X', 'Y', ...extraColumns], body };
+    }
+
+    /**
+     * Header and rows of the wide layout.  Each series gets a column named
+     * by its label for Y, and "label column" columns for anything else its
+     * points carry (band bounds, errors, bar baselines).  Rows are the
+     * distinct X values of all series in order; an X a series repeats (a
+     * vertical step) gets as many rows as it needs.
+     */
+    getWideRows() {
+        const columns = [];
+        this.labeledCurves.forEach((labeledCurve, series) => {
+            const keys = ['y', 'lower', 'upper', 'x_err_low', 'x_err_high', 'y_err_low', 'y_err_high', 'baseline']
+                .filter(key => labeledCurve.curves.some(curve => curve.points.some(point => key in point)));
+            keys.forEach(key => columns.push({
+                series: series,
+                key: key,
+                name: key === 'y' ? labeledCurve.label : `${labeledCurve.label} ${key}`
+            }));
+        });
+
+        // Values of each series by X, in point order
+        const byX = new Map();
+        this.labeledCurves.forEach((labeledCurve, series) => {
+            labeledCurve.curves.forEach(curve => curve.points.forEach(point => {
+                if (!byX.has(point.x)) byX.set(point.x, new Map());
+                const atX = byX.get(point.x);
+                if (!atX.has(series)) atX.set(series, []);
+                atX.get(series).push(point);
+            }));
+        });
+
+        const body = [];
+        [...byX.keys()].sort((a, b) => a - b).forEach(x => {
+            const atX = byX.get(x);
+            const count = Math.max(...[...atX.values()].map(points => points.length));
+            for (let i = 0; i < count; i++) {
+                body.push([x, ...columns.map(column => {
+                    const points = atX.get(column.series);
+                    return points && points[i] ? points[i][column.key] : null;
+                })]);
+            }
+        });
+
+        return { header: ['X', ...columns.map(column => column.name)], body };
+    }
+
+    /**
+     * .xlsx workbook of the prepared data: a Summary sheet followed by one
+     * sheet per series, with the same columns as the long CSV layout (and a
+     * Segment column for series made of several curves).
+     *
+     * summary - { fileName, calibrations } where calibrations maps each
+     *           calibration key to { name, pageNum, mode, state }, state
+     *           being an AxisCalibrator.getState() snapshot
+     */
+    exportAsXLSX(summary = {}) {
+        const workbook = new XlsxWriter();
+        const calibrations = summary.calibrations || {};
+
+        const summaryRows = [
+            ['Source file', summary.fileName || ''],
+            ['Exported', new Date().toISOString()],
+            [],
+            ['Sheet', 'Label', 'Type', 'Page', 'Calibration', 'Method', 'Points',
+                'X scale', 'X reference values', 'Y scale', 'Y reference values']
+        ];
+        workbook.addSheet('Summary', summaryRows, [3]);
+
+        this.labeledCurves.forEach(labeledCurve => {
+            const columns = ['x', 'y', 'lower', 'upper', 'x_err_low', 'x_err_high', 'y_err_low', 'y_err_high', 'baseline']
+                .filter(column => labeledCurve.curves.some(curve => curve.points.some(point => column in point)));
+            const segmented = labeledCurve.curves.length > 1;
+
+            const rows = [[
+                ...(segmented ? ['Segment'] : []),
+                ...columns.map(column => column.length === 1 ? column.toUpperCase() : column)
+            ]];
+            labeledCurve.curves.forEach((curve, curveIdx) => {
+                curve.points.forEach(point => {
+                    rows.push([...(segmented ? [curveIdx + 1] : []), ...columns.map(column => point[column])]);
+                });
+            });
+            const sheetName = workbook.addSheet(labeledCurve.label, rows);
+
+            const calibration = calibrations[labeledCurve.calibrationKey] || {};
+            const state = calibration.state || {};
+            const scale = (axis) => state.scaleType ? state.scaleType[`${axis}Axis`] : null;
+
+            summaryRows.push([
+                sheetName,
+                labeledCurve.label,
+                labeledCurve.kind || 'curves',
+                calibration.pageNum,
+                calibration.name || labeledCurve.calibrationKey || '',
+                calibration.mode || '',
+                rows.length - 1,
+                scale('x'),
+                this.describeReferenceValues(state, 'x'),
+                scale('y'),
+                this.describeReferenceValues(state, 'y')
+            ]);
+        });
+
+        return workbook.toBytes();
+    }
+
+    /**
+     * The axis values the user entered for a calibration: axis ends, tick
+     * values or reference point values, whichever the calibration has
+     */
+    describeReferenceValues(state, axis) {
+        const key = `${axis}Axis`;
+        const format = (values) => values.filter(v => typeof v === 'number').join(', ');
+
+        if (state.affineReferences && state.affineReferences.length > 0) {
+            return format(state.affineReferences.map(r => r.data[axis]));
+        }
+        if (state.tickReferences && state.tickReferences[key].length > 0) {
+            return format(state.tickReferences[key].map(r => r.value));
+        }
+        if (state.calibrationValues) {
+            return format([state.calibrationValues[key].min, state.calibrationValues[key].max]);
+        }
+        return '';
     }
 
     exportAsJSON() {
@@ -79,11 +689,16 @@ export class DataExporter {
         }, 100);
     }
 
-    downloadCSV(filename = 'extracted_data.csv') {
-        const csv = this.exportAsCSV();
+    downloadCSV(filename = 'extracted_data.csv', options = {}) {
+        const csv = this.exportAsCSV(options);
         this.downloadFile(csv, filename, 'text/csv');
     }
 
+    downloadXLSX(filename = 'extracted_data.xlsx', summary = {}) {
+        const xlsx = this.exportAsXLSX(summary);
+        this.downloadFile(xlsx, filename, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
     downloadJSON(filename = 'extracted_data.json') {
         const json = this.exportAsJSON();
         this.downloadFile(json, filename, 'application/json');
@@ -0,0 +1,100 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// The oldest commands are dropped beyond this many
+const MAX_COMMANDS = 100;
+
+/**
+ * Undo/redo history of commands.  A command is { label, undo, redo }: it
+ * is recorded once it has been done, undo() takes it back and redo() does
+ * it again.  Commands recorded while an undo or redo is running are
+ * ignored, so putting state back can go through the normal update code.
+ */
+export class HistoryManager {
+    constructor() {
+        this.commands = [];
+        this.position = 0;      // commands before this index are done
+        this.applying = false;
+    }
+
+    push(command) {
+        if (this.applying) return;
+
+        // A new command replaces everything that was undone
+        this.commands.splice(this.position);
+        this.commands.push(command);
+        if (this.commands.length > MAX_COMMANDS) {
+            this.commands.shift();
+        }
+        this.position = this.commands.length;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.commands.length;
+    }
+
+    /**
+     * Take back the last done command; returns it, or null if there is none
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const command = this.commands[this.position - 1];
+        this.apply(() => command.undo());
+        this.position--;
+        return command;
+    }
+
+    /**
+     * Do the first undone command again; returns it, or null if there is none
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const command = this.commands[this.position];
+        this.apply(() => command.redo());
+        this.position++;
+        return command;
+    }
+
+    /**
+     * Undo or redo until position commands are done
+     */
+    goTo(position) {
+        while (this.position > position && this.canUndo()) this.undo();
+        while (this.position < position && this.canRedo()) this.redo();
+    }
+
+    apply(action) {
+        this.applying = true;
+        try {
+            action();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    isApplying() {
+        return this.applying;
+    }
+
+    clear() {
+        this.commands = [];
+        this.position = 0;
+    }
+
+    /**
+     * [{ label, done }] oldest first
+     */
+    getEntries() {
+        return this.commands.map((command, index) => ({ label: command.label, done: index < this.position }));
+    }
+}
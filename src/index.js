@@ -0,0 +1,218 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Programmatic API: UnPlotter's extraction, calibration and export without
+ * the browser UI.
+ *
+ *   import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+ *   import { loadDocument, extractCurves, calibrate, convert, format } from 'unplotter';
+ *
+ *   const doc = await loadDocument(bytes, { pdfjsLib });
+ *   const curves = await extractCurves(doc, 1);
+ *   const calibrator = calibrate({
+ *       x: { line: curves[0], min: 0, max: 10 },
+ *       y: { line: curves[1], min: 1, max: 1000, scale: 'log' }
+ *   });
+ *   const data = convert([{ label: 'Gain', curves: [curves[5]] }], calibrator);
+ *   const csv = format(data, 'csv');
+ *
+ * Curves are in raw PDF coordinates, as PathExtractor produces them, with
+ * curveIndex and pageNum added so they match the references in saved
+ * projects.
+ */
+
+import { PDFLoader } from './pdf-loader.js';
+import { PathExtractor } from './path-extractor.js';
+import { AxisCalibrator } from './axis-calibrator.js';
+import { DataExporter } from './data-exporter.js';
+import { ProjectManager } from './project-manager.js';
+
+export { PDFLoader, PathExtractor, AxisCalibrator, DataExporter, ProjectManager };
+export { TextExtractor } from './text-extractor.js';
+export { AxisDetector } from './axis-detector.js';
+export { MarkerDetector } from './marker-detector.js';
+export { BarDetector } from './bar-detector.js';
+export { BandDetector } from './band-detector.js';
+export { XlsxWriter } from './xlsx-writer.js';
+
+/**
+ * Open a PDF from its bytes (Uint8Array, ArrayBuffer or Blob).
+ *
+ * options.pdfjsLib - the pdf.js module to use.  Without it the browser
+ *                    build is imported from node_modules, as in the app;
+ *                    under Node pass pdfjs-dist's legacy build.
+ *
+ * Returns { pdfLoader, pdfDocument, numPages, fingerprint }, the document
+ * handle taken by the other functions.
+ */
+export async function loadDocument(data, options = {}) {
+    const pdfLoader = new PDFLoader(options.pdfjsLib || null);
+    const blob = typeof Blob !== 'undefined' && data instanceof Blob ? data : new Blob([data]);
+
+    const result = await pdfLoader.loadPDF(blob);
+    if (!result.success) {
+        throw new Error(`Could not load PDF: ${result.error}`);
+    }
+
+    return {
+        pdfLoader: pdfLoader,
+        pdfDocument: pdfLoader.pdfDocument,
+        numPages: result.numPages,
+        fingerprint: new ProjectManager().getFingerprint(pdfLoader.pdfDocument)
+    };
+}
+
+/**
+ * Vector curves of one page (1-based), in drawing order.
+ *
+ * options.region - { minX, minY, maxX, maxY } in raw PDF coordinates; only
+ *                  curves whose bounding box center is inside are returned
+ *                  (the test the app uses for figure regions).  curveIndex
+ *                  stays the index among all of the page's curves.
+ */
+export async function extractCurves(doc, pageNum, options = {}) {
+    if (pageNum < 1 || pageNum > doc.numPages) {
+        throw new Error(`Page ${pageNum} is out of range (1-${doc.numPages})`);
+    }
+
+    const page = await doc.pdfDocument.getPage(pageNum);
+    const extractor = new PathExtractor(doc.pdfLoader);
+    await extractor.extractPaths(page);
+
+    const curves = extractor.getCurves().map((curve, curveIndex) => ({ ...curve, curveIndex, pageNum }));
+    if (!options.region) {
+        return curves;
+    }
+
+    const rect = options.region;
+    return curves.filter(curve => {
+        if (!curve.points || curve.points.length === 0) return false;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        curve.points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+        return cx >= rect.minX && cx <= rect.maxX && cy >= rect.minY && cy <= rect.maxY;
+    });
+}
+
+/**
+ * Build a calibrated AxisCalibrator from one of:
+ *
+ *   { x: axis, y: axis, rotation }
+ *       axis is { line, min, max, scale } for an axis line (a curve, or an
+ *       array of points) whose ends have the values min and max, or
+ *       { ticks: [{ line, value }], scale } for two or more tick marks or
+ *       gridlines.  scale is 'linear' (default) or 'log'.  rotation is the
+ *       view rotation the axes are read in (0, 90, 180, 270).
+ *
+ *   { references: [{ pdf: { x, y }, data: { x, y } }], xScale, yScale }
+ *       three or more reference points for a full affine mapping
+ *
+ *   { state }
+ *       an AxisCalibrator.getState() snapshot, such as the state of a
+ *       calibration in a saved project
+ *
+ * Throws if the result is not fully calibrated.
+ */
+export function calibrate(spec) {
+    const calibrator = new AxisCalibrator();
+
+    if (spec.state) {
+        calibrator.setState(spec.state);
+    } else if (spec.references) {
+        calibrator.setScaleType('x', spec.xScale || 'linear');
+        calibrator.setScaleType('y', spec.yScale || 'linear');
+        spec.references.forEach(reference => calibrator.addAffineReference(reference.pdf, reference.data));
+    } else {
+        calibrator.setRotation(spec.rotation || 0);
+        ['x', 'y'].forEach(axis => {
+            const axisSpec = spec[axis];
+            if (!axisSpec) return;
+
+            calibrator.setScaleType(axis, axisSpec.scale || 'linear');
+            if (axisSpec.ticks) {
+                axisSpec.ticks.forEach(tick => calibrator.addTickReference(axis, asCurve(tick.line), tick.value));
+            } else {
+                calibrator.setCalibrationSegment(axis, asCurve(axisSpec.line));
+                calibrator.setCalibrationValue(axis, 'start', axisSpec.min);
+                calibrator.setCalibrationValue(axis, 'end', axisSpec.max);
+            }
+        });
+    }
+
+    if (!calibrator.checkIfFullyCalibrated()) {
+        throw new Error('Calibration is incomplete');
+    }
+    return calibrator;
+}
+
+function asCurve(line) {
+    if (!line) {
+        throw new Error('Calibration needs a line for each axis');
+    }
+    return Array.isArray(line) ? { points: line } : line;
+}
+
+/**
+ * Convert labeled series to data values: [{ label, curves, kind, ... }] as
+ * the app stores them (kind 'markers', 'bars' or 'bands' for detected
+ * series, see DataExporter.prepareDataFromLabeledCurves).  calibrator is an
+ * AxisCalibrator or a function returning one for a series.  options are
+ * the export options: resample and mergeSegments.
+ */
+export function convert(labeledCurves, calibrator, options = {}) {
+    return new DataExporter().prepareDataFromLabeledCurves(labeledCurves, calibrator, options);
+}
+
+/**
+ * Write converted data as 'csv' (string; options as for
+ * DataExporter.exportAsCSV), 'json' (string) or 'xlsx' (Uint8Array;
+ * options is the workbook summary).
+ */
+export function format(data, type, options = {}) {
+    const exporter = new DataExporter();
+    exporter.labeledCurves = data;
+
+    switch (type) {
+        case 'csv':  return exporter.exportAsCSV(options);
+        case 'json': return exporter.exportAsJSON();
+        case 'xlsx': return exporter.exportAsXLSX(options);
+        default:     throw new Error(`Unknown format "${type}"`);
+    }
+}
+
+/**
+ * Apply a saved project (parsed, or its JSON text) to a document: its
+ * labeled curves are found again by page and curve index, and each of its
+ * calibrations is restored.  Returns { project, labeledCurves,
+ * calibrators }, calibrators mapping calibration keys to AxisCalibrators,
+ * ready for convert(labeledCurves, lc => calibrators.get(lc.calibrationKey)).
+ */
+export async function applyProject(project, doc) {
+    const projectManager = new ProjectManager();
+    const parsed = typeof project === 'string' ? projectManager.parseProject(project) : project;
+
+    const labeledCurves = await projectManager.resolveLabeledCurves(
+        parsed.labeledCurves, doc.pdfDocument, new PathExtractor(doc.pdfLoader));
+
+    const calibrators = new Map();
+    Object.entries(parsed.calibrations).forEach(([key, snapshot]) => {
+        const calibrator = new AxisCalibrator();
+        calibrator.setState(snapshot.state);
+        calibrators.set(key, calibrator);
+    });
+
+    return { project: parsed, labeledCurves, calibrators };
+}
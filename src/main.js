@@ -10,6 +10,13 @@ import { PathExtractor } from './path-extractor.js';
 import { CanvasOverlay } from './canvas-overlay.js';
 import { AxisCalibrator } from './axis-calibrator.js';
 import { DataExporter } from './data-exporter.js';
+import { TextExtractor } from './text-extractor.js';
+import { ProjectManager } from './project-manager.js';
+import { AxisDetector } from './axis-detector.js';
+import { MarkerDetector } from './marker-detector.js';
+import { BarDetector } from './bar-detector.js';
+import { BandDetector } from './band-detector.js';
+import { HistoryManager } from './history-manager.js';
 
 class UnPlotApp {
     constructor() {
@@ -18,10 +25,19 @@ class UnPlotApp {
         this.canvasOverlay = null;
         this.axisCalibrator = new AxisCalibrator();
         this.dataExporter = new DataExporter();
+        this.textExtractor = new TextExtractor();
+        this.projectManager = new ProjectManager();
+        this.axisDetector = new AxisDetector();
+        this.markerDetector = new MarkerDetector();
+        this.barDetector = new BarDetector();
+        this.bandDetector = new BandDetector();
 
         this.currentPageNum = 1;
         this.totalPages = 0;
+        this.pdfFileName = null;
         this.extractedPaths = [];
+        this.tickLabels = [];
+        this.tickLabelHints = {};
         this.selectionMode = false;
         this.calibrationMode = false;
         this.pendingCalibration = null;
@@ -32,10 +48,34 @@ class UnPlotApp {
         this.perpOriginMode = 'auto';   // 'auto' | 'select'
         this.perpRefCurve = null;       // separately-clicked perp reference curve
 
+        // Tick mark calibration state
+        this.tickMode = false;
+
+        // Reference point (affine) calibration state
+        this.affineMode = false;
+
+        // Figure regions: [{ id, name, pageNum, rect }], rect in PDF coordinates
+        this.figureRegions = [];
+        this.activeFigure = null;       // null means the whole page
+        this.nextFigureId = 1;
+
+        // Calibrations for pages other than the current one, keyed by
+        // calibration key; the current page's lives in this.axisCalibrator
+        this.calibrations = new Map();
+        this.activeCalibrationKey = null;
+        this.calibratorCache = new WeakMap();
+
         // Labeled curves management
         this.labeledCurves = [];
         this.selectedCurveForLabeling = null;
         this.multiSelectMode = false;
+        this.styleGroups = [];
+        this.selectedStyleGroup = null;
+        this.editingSeries = null;          // series open for adding/removing curves
+        this.draggedSeriesIndex = null;
+
+        // Undo/redo of selection, labeling and calibration changes
+        this.history = new HistoryManager();
 
         // Resize panel
         this.isResizing = false;
@@ -58,6 +98,10 @@ class UnPlotApp {
         this.uploadBtn = document.getElementById('uploadBtn');
         this.fileInput = document.getElementById('fileInput');
         this.fileInfo = document.getElementById('fileInfo');
+        this.projectInput = document.getElementById('projectInput');
+        this.projectControls = document.getElementById('projectControls');
+        this.saveProjectBtn = document.getElementById('saveProject');
+        this.openProjectBtn = document.getElementById('openProject');
         this.canvas = document.getElementById('pdfCanvas');
         this.canvasContainer = document.getElementById('canvasContainer');
         this.pageNum = document.getElementById('pageNum');
@@ -93,6 +137,13 @@ class UnPlotApp {
         this.sidePanel = document.getElementById('sidePanel');
         this.resizeHandle = document.getElementById('resizeHandle');
 
+        // Figure region elements
+        this.figureSection = document.getElementById('figureSection');
+        this.figureTabs = document.getElementById('figureTabs');
+        this.addFigureBtn = document.getElementById('addFigure');
+        this.figureNameInput = document.getElementById('figureName');
+        this.deleteFigureBtn = document.getElementById('deleteFigure');
+
         // Labeling elements
         this.labelingSection = document.getElementById('labelingSection');
         this.labelingInstruction = document.getElementById('labelingInstruction');
@@ -101,12 +152,18 @@ class UnPlotApp {
         this.saveCurveLabelBtn = document.getElementById('saveCurveLabel');
         this.curveList = document.getElementById('curveList');
         this.deleteAllLabelsBtn = document.getElementById('deleteAllLabels');
+        this.groupByStyleBtn = document.getElementById('groupByStyle');
+        this.detectMarkersBtn = document.getElementById('detectMarkers');
+        this.detectBarsBtn = document.getElementById('detectBars');
+        this.detectBandsBtn = document.getElementById('detectBands');
+        this.styleGroupList = document.getElementById('styleGroupList');
 
         this.labelingSection.style.display = 'none';
 
         // Calibration elements
         this.calibrationSection = document.getElementById('calibrationSection');
         this.startCalibrationBtn = document.getElementById('startCalibration');
+        this.detectAxesBtn = document.getElementById('detectAxes');
         this.calibrationPrompt = document.getElementById('calibrationPrompt');
         this.xMinInput = document.getElementById('xMinValue');
         this.xMaxInput = document.getElementById('xMaxValue');
@@ -114,6 +171,8 @@ class UnPlotApp {
         this.yMaxInput = document.getElementById('yMaxValue');
         this.resetCalibrationBtn = document.getElementById('resetCalibration');
         this.calibrationStatus = document.getElementById('calibrationStatus');
+        this.calibrationScope = document.getElementById('calibrationScope');
+        this.tickLabelHint = document.getElementById('tickLabelHint');
 
         // Log scale checkboxes
         this.xLogScaleCheckbox = document.getElementById('xLogScale');
@@ -122,8 +181,29 @@ class UnPlotApp {
         // Calibration mode selector
         this.calModeIndependentRadio = document.getElementById('calModeIndependent');
         this.calModeEqualScaleRadio  = document.getElementById('calModeEqualScale');
+        this.calModeTicksRadio       = document.getElementById('calModeTicks');
+        this.calModeAffineRadio      = document.getElementById('calModeAffine');
         this.independentCalPanel     = document.getElementById('independentCalPanel');
         this.equalScalePanel         = document.getElementById('equalScalePanel');
+        this.tickCalPanel            = document.getElementById('tickCalPanel');
+        this.affineCalPanel          = document.getElementById('affineCalPanel');
+
+        // Tick mark controls
+        this.addXTickBtn             = document.getElementById('addXTick');
+        this.addYTickBtn             = document.getElementById('addYTick');
+        this.xTickList               = document.getElementById('xTickList');
+        this.yTickList               = document.getElementById('yTickList');
+        this.xTickResidual           = document.getElementById('xTickResidual');
+        this.yTickResidual           = document.getElementById('yTickResidual');
+        this.xTickLogScaleCheckbox   = document.getElementById('xTickLogScale');
+        this.yTickLogScaleCheckbox   = document.getElementById('yTickLogScale');
+
+        // Reference point controls
+        this.addAffinePointBtn       = document.getElementById('addAffinePoint');
+        this.affinePointList         = document.getElementById('affinePointList');
+        this.affineResidual          = document.getElementById('affineResidual');
+        this.xAffineLogScaleCheckbox = document.getElementById('xAffineLogScale');
+        this.yAffineLogScaleCheckbox = document.getElementById('yAffineLogScale');
 
         // 1:1 scale controls
         this.scaleFromXRadio         = document.getElementById('scaleFromX');
@@ -148,11 +228,34 @@ class UnPlotApp {
         this.exportSection = document.getElementById('exportSection');
         this.exportCSVBtn = document.getElementById('exportCSV');
         this.exportJSONBtn = document.getElementById('exportJSON');
+        this.exportXLSXBtn = document.getElementById('exportXLSX');
         this.exportPreview = document.getElementById('previewContent');
+        this.resampleModeSelect = document.getElementById('resampleMode');
+        this.resampleCountControls = document.getElementById('resampleCountControls');
+        this.resampleCountInput = document.getElementById('resampleCount');
+        this.resampleValuesControls = document.getElementById('resampleValuesControls');
+        this.resampleValuesInput = document.getElementById('resampleValues');
+        this.loadResampleValuesBtn = document.getElementById('loadResampleValues');
+        this.resampleFileInput = document.getElementById('resampleValuesInput');
+        this.mergeSegmentsCheckbox = document.getElementById('mergeSegments');
+        this.csvLayoutSelect = document.getElementById('csvLayout');
+        this.csvDelimiterSelect = document.getElementById('csvDelimiter');
+        this.csvDecimalSelect = document.getElementById('csvDecimal');
+        this.csvHeaderCheckbox = document.getElementById('csvHeader');
+        this.exportError = document.getElementById('exportError');
+
+        // History elements
+        this.historySection = document.getElementById('historySection');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.historyList = document.getElementById('historyList');
 
         // Event listeners
         this.uploadBtn.addEventListener('click', () => this.fileInput.click());
         this.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+        this.saveProjectBtn.addEventListener('click', () => this.saveProject());
+        this.openProjectBtn.addEventListener('click', () => this.projectInput.click());
+        this.projectInput.addEventListener('change', (e) => this.handleProjectUpload(e));
         this.thumbnailToggleBtn.addEventListener('click', () => this.toggleThumbnailSidebar());
         this.prevPageBtn.addEventListener('click', () => this.changePage(-1));
         this.nextPageBtn.addEventListener('click', () => this.changePage(1));
@@ -185,6 +288,11 @@ class UnPlotApp {
         this.canvasContainer.addEventListener('mouseup', () => this.stopPan());
         this.canvasContainer.addEventListener('mouseleave', () => this.stopPan());
 
+        // Figure region event listeners
+        this.addFigureBtn.addEventListener('click', () => this.startFigureRegion());
+        this.figureNameInput.addEventListener('change', () => this.renameActiveFigure());
+        this.deleteFigureBtn.addEventListener('click', () => this.deleteActiveFigure());
+
         // Labeling event listeners
         this.saveCurveLabelBtn.addEventListener('click', () => this.saveLabeledCurve());
         this.curveLabelInput.addEventListener('keypress', (e) => {
@@ -194,56 +302,113 @@ class UnPlotApp {
         if (this.multiSelectCheckbox) {
             this.multiSelectCheckbox.addEventListener('change', () => this.toggleMultiSelectMode());
         }
+        this.groupByStyleBtn.addEventListener('click', () => this.groupCurvesByStyle());
+        this.detectMarkersBtn.addEventListener('click', () => this.detectMarkers());
+        this.detectBarsBtn.addEventListener('click', () => this.detectBars());
+        this.detectBandsBtn.addEventListener('click', () => this.detectBands());
 
         // Calibration event listeners (independent mode only — equal-scale has its own buttons)
         this.startCalibrationBtn.addEventListener('click', () => this.startSequentialCalibration());
+        this.detectAxesBtn.addEventListener('click', () => this.detectAxes());
 
         // Independent-mode value inputs
-        this.xMinInput.addEventListener('change', () => this.updateCalibrationValue('x', 'start'));
-        this.xMaxInput.addEventListener('change', () => this.updateCalibrationValue('x', 'end'));
-        this.yMinInput.addEventListener('change', () => this.updateCalibrationValue('y', 'start'));
-        this.yMaxInput.addEventListener('change', () => this.updateCalibrationValue('y', 'end'));
-
-        this.resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
-
-        // Mode toggle
-        this.calModeIndependentRadio.addEventListener('change', () => this.toggleCalibrationMode(false));
-        this.calModeEqualScaleRadio.addEventListener('change',  () => this.toggleCalibrationMode(true));
+        this.xMinInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set X min', () => this.updateCalibrationValue('x', 'start')));
+        this.xMaxInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set X max', () => this.updateCalibrationValue('x', 'end')));
+        this.yMinInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set Y min', () => this.updateCalibrationValue('y', 'start')));
+        this.yMaxInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set Y max', () => this.updateCalibrationValue('y', 'end')));
+
+        this.resetCalibrationBtn.addEventListener('click', () =>
+            this.recordCalibrationChange('Reset calibration', () => this.resetCalibration()));
+
+        // Mode toggle (switching resets the calibration, so it can be undone)
+        this.calModeIndependentRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('Independent axes mode', () => this.toggleCalibrationMode('independent')));
+        this.calModeEqualScaleRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('1:1 scale mode', () => this.toggleCalibrationMode('equalScale')));
+        this.calModeTicksRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('Tick marks mode', () => this.toggleCalibrationMode('ticks')));
+        this.calModeAffineRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('Reference points mode', () => this.toggleCalibrationMode('affine')));
 
         // 1:1 scale axis choice
-        this.scaleFromXRadio.addEventListener('change', () => this.updateEqualScaleAxisChoice('x'));
-        this.scaleFromYRadio.addEventListener('change', () => this.updateEqualScaleAxisChoice('y'));
+        this.scaleFromXRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('1:1 scale from X', () => this.updateEqualScaleAxisChoice('x')));
+        this.scaleFromYRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('1:1 scale from Y', () => this.updateEqualScaleAxisChoice('y')));
 
         // 1:1 scale step buttons
         this.selectScaleRefBtn.addEventListener('click', () => this.startEqualScaleCalibration());
         this.selectPerpRefBtn.addEventListener('click',  () => this.startPerpRefSelection());
 
         // 1:1 scale value inputs
-        this.equalScaleMinInput.addEventListener('change', () => this.updateEqualScaleCalibration());
-        this.equalScaleMaxInput.addEventListener('change', () => this.updateEqualScaleCalibration());
+        this.equalScaleMinInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set 1:1 scale min', () => this.updateEqualScaleCalibration()));
+        this.equalScaleMaxInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set 1:1 scale max', () => this.updateEqualScaleCalibration()));
 
         // Perpendicular origin
-        this.perpOriginAutoRadio.addEventListener('change',   () => this.updatePerpOriginMode('auto'));
-        this.perpOriginSelectRadio.addEventListener('change', () => this.updatePerpOriginMode('select'));
-        this.perpDataValueInput.addEventListener('change',    () => this.updateEqualScaleCalibration());
-        this.perpRefDataValueInput.addEventListener('change', () => this.updateEqualScaleCalibration());
+        this.perpOriginAutoRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('Origin on scale line', () => this.updatePerpOriginMode('auto')));
+        this.perpOriginSelectRadio.addEventListener('change', () =>
+            this.recordCalibrationChange('Origin from reference line', () => this.updatePerpOriginMode('select')));
+        this.perpDataValueInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set origin value', () => this.updateEqualScaleCalibration()));
+        this.perpRefDataValueInput.addEventListener('change', () =>
+            this.recordCalibrationChange('Set origin value', () => this.updateEqualScaleCalibration()));
+
+        // Tick mark calibration
+        this.addXTickBtn.addEventListener('click', () => this.startTickSelection('x'));
+        this.addYTickBtn.addEventListener('click', () => this.startTickSelection('y'));
+        this.xTickLogScaleCheckbox.addEventListener('change', () =>
+            this.recordCalibrationChange(this.describeScaleToggle('x', this.xTickLogScaleCheckbox), () => this.updateTickScaleType('x')));
+        this.yTickLogScaleCheckbox.addEventListener('change', () =>
+            this.recordCalibrationChange(this.describeScaleToggle('y', this.yTickLogScaleCheckbox), () => this.updateTickScaleType('y')));
+
+        // Reference point calibration
+        this.addAffinePointBtn.addEventListener('click', () => this.startAffinePointSelection());
+        this.xAffineLogScaleCheckbox.addEventListener('change', () =>
+            this.recordCalibrationChange(this.describeScaleToggle('x', this.xAffineLogScaleCheckbox), () => this.updateAffineScaleType('x')));
+        this.yAffineLogScaleCheckbox.addEventListener('change', () =>
+            this.recordCalibrationChange(this.describeScaleToggle('y', this.yAffineLogScaleCheckbox), () => this.updateAffineScaleType('y')));
 
         // New: log-scale change listeners
         if (this.xLogScaleCheckbox) {
             this.xLogScaleCheckbox.addEventListener('change', () => {
-                this.updateScaleType('x');
+                this.recordCalibrationChange(this.describeScaleToggle('x', this.xLogScaleCheckbox), () => this.updateScaleType('x'));
             });
         }
 
         if (this.yLogScaleCheckbox) {
             this.yLogScaleCheckbox.addEventListener('change', () => {
-                this.updateScaleType('y');
+                this.recordCalibrationChange(this.describeScaleToggle('y', this.yLogScaleCheckbox), () => this.updateScaleType('y'));
             });
         }
 
         // Export event listeners
         this.exportCSVBtn.addEventListener('click', () => this.exportData('csv'));
         this.exportJSONBtn.addEventListener('click', () => this.exportData('json'));
+        this.exportXLSXBtn.addEventListener('click', () => this.exportData('xlsx'));
+        this.resampleModeSelect.addEventListener('change', () => this.updateResampleControls());
+        this.resampleCountInput.addEventListener('change', () => this.updateExportPreview());
+        this.resampleValuesInput.addEventListener('change', () => this.updateExportPreview());
+        this.loadResampleValuesBtn.addEventListener('click', () => this.resampleFileInput.click());
+        this.resampleFileInput.addEventListener('change', (e) => this.loadResampleValues(e));
+        this.mergeSegmentsCheckbox.addEventListener('change', () => this.updateExportPreview());
+        this.csvDecimalSelect.addEventListener('change', () => this.updateCsvDelimiterOptions());
+        [this.csvLayoutSelect, this.csvDelimiterSelect, this.csvDecimalSelect, this.csvHeaderCheckbox].forEach(control => {
+            control.addEventListener('change', () => this.updateExportPreview());
+        });
+        this.updateCsvDelimiterOptions();
+
+        // History event listeners
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        this.updateHistoryList();
 
         console.log('Application initialized. Ready to load PDF.');
 
@@ -352,7 +517,10 @@ class UnPlotApp {
             this.totalPages = result.numPages;
             this.currentPageNum = 1;
 
+            this.pdfFileName = file.name;
             this.fileInfo.textContent = `${file.name}`;
+            this.history.clear();
+            this.updateHistoryList();
             this.pageCount.textContent = this.totalPages;
 
             // Show controls and side panel
@@ -362,6 +530,7 @@ class UnPlotApp {
             this.navControls.style.display = 'flex';
             this.zoomControls.style.display = 'flex';
             this.rotationControls.style.display = 'flex';
+            this.projectControls.style.display = 'flex';
             this.sidePanel.style.display = 'block';
 
             // Render first page, then populate thumbnails
@@ -386,6 +555,11 @@ class UnPlotApp {
             this.updateNavigationButtons();
             console.log(`Page ${this.currentPageNum} rendered. Canvas size: ${result.width}x${result.height}px`);
 
+            // Figure regions belong to a single page
+            if (this.activeFigure && this.activeFigure.pageNum !== this.currentPageNum) {
+                this.activeFigure = null;
+            }
+            this.switchCalibration(this.getCalibrationKey());
             await this.extractPathsFromCurrentPage();
             this.setupCanvasOverlay(result.page);
             this.updateThumbnailHighlight();
@@ -407,6 +581,12 @@ class UnPlotApp {
             this.extractedPaths = await this.pathExtractor.extractPaths(page);
             const curves = this.pathExtractor.getCurves();
 
+            // Style groups refer to curve indices on the previous extraction
+            this.clearStyleGroups();
+
+            // Numeric text is used to suggest calibration values
+            this.tickLabels = await this.textExtractor.extractNumericLabels(page);
+
             console.log(`✓ Extracted ${this.extractedPaths.length} paths`);
             console.log(`✓ Total curves: ${curves.length}`);
 
@@ -430,6 +610,9 @@ class UnPlotApp {
         this.canvasOverlay = new CanvasOverlay(this.canvas, this.pathExtractor, page);
         this.canvasOverlay.setScale(this.pdfLoader.getScale());
         this.canvasOverlay.setRotation(this.pdfLoader.getRotation()); // Add rotation
+        this.canvasOverlay.setReferencePoints(this.axisCalibrator.getAffineReferences().map(r => r.pdf));
+        this.canvasOverlay.setRegions(this.getPageFigures());
+        this.canvasOverlay.setScopeRegion(this.activeFigure);
 
         if (this.multiSelectMode) {
             this.canvasOverlay.setMultiSelectMode(true);
@@ -439,6 +622,12 @@ class UnPlotApp {
             this.handleCurveSelection(e.detail);
         });
 
+        this.canvasOverlay.overlayCanvas.addEventListener('regionDrawn', (e) => {
+            this.addFigureRegion(e.detail.rect);
+        });
+
+        this.updateFigureTabs();
+
         if (this.selectionMode) {
             this.canvasOverlay.enableSelectionMode(true);
         }
@@ -454,38 +643,70 @@ class UnPlotApp {
         if (this.selectionMode) {
             this.toggleSelectionBtn.textContent = 'Disable Selection';
             this.toggleSelectionBtn.classList.add('active');
+            this.figureSection.style.display = 'block';
             this.labelingSection.style.display = 'block';
             this.calibrationSection.style.display = 'block';
+            this.historySection.style.display = 'block';
             console.log('Selection mode enabled - click on curves to select and label them');
         } else {
             this.toggleSelectionBtn.textContent = 'Enable Selection';
             this.toggleSelectionBtn.classList.remove('active');
+            this.figureSection.style.display = 'none';
             this.labelingSection.style.display = 'none';
             this.calibrationSection.style.display = 'none';
+            this.historySection.style.display = 'none';
             console.log('Selection mode disabled');
         }
     }
 
     handleCurveSelection(detail) {
         if (this.calibrationMode && this.pendingCalibration) {
-            if (this.equalScaleMode) {
-                this.handleEqualScaleCalibrationCurve(detail.curve);
-            } else {
-                this.handleIndependentCalibrationCurve(detail);
-            }
+            this.recordCalibrationChange(this.describePendingCalibration(), () => {
+                if (this.equalScaleMode) {
+                    this.handleEqualScaleCalibrationCurve(detail.curve);
+                } else if (this.tickMode) {
+                    this.handleTickCalibrationCurve(detail.curve);
+                } else if (this.affineMode) {
+                    this.handleAffineCalibrationPoint(detail);
+                } else {
+                    this.handleIndependentCalibrationCurve(detail);
+                }
+            });
+        } else if (this.editingSeries) {
+            // Clicks add curves to the series open for editing instead of
+            // selecting them
+            this.canvasOverlay.setSelection(detail.previousSelection);
+            this.addCurveToLabeledCurve(this.labeledCurves.indexOf(this.editingSeries), detail.curve);
         } else {
+            // The overlay has already added the curve to its selection
+            const before = { ...this.getSelectionState(), indices: detail.previousSelection.indices };
+
             if (this.multiSelectMode) {
                 if (!this.curveLabelInput.value.trim()) {
                     this.curveLabelInput.focus();
                 }
+                this.recordSelectionChange(`Add curve ${detail.curve.curveIndex} to selection`, before);
             } else {
                 this.selectedCurveForLabeling = detail.curve;
                 console.log(`Selected curve with ${detail.curve.points.length} points - enter a label to save it`);
                 this.curveLabelInput.focus();
+                this.recordSelectionChange(`Select curve ${detail.curve.curveIndex}`, before);
             }
         }
     }
 
+    /**
+     * History label for the calibration pick the next click completes
+     */
+    describePendingCalibration() {
+        const pending = this.pendingCalibration;
+        if (pending.step === 'scale') return `Pick 1:1 scale ${this.equalScaleAxis.toUpperCase()} line`;
+        if (pending.step === 'perp') return 'Pick origin reference line';
+        if (pending.step === 'tick') return `Add ${pending.axis.toUpperCase()} tick`;
+        if (pending.step === 'affine') return 'Add reference point';
+        return `Pick ${pending.axis.toUpperCase()}-axis line`;
+    }
+
     handleIndependentCalibrationCurve(detail) {
         const curve = detail.curve;
         const { axis } = this.pendingCalibration;
@@ -494,6 +715,7 @@ class UnPlotApp {
             this.axisCalibrator.setCalibrationSegment(axis, curve);
             this.updateCalibrationStatus(axis, true);
             console.log(`${axis.toUpperCase()}-axis calibration path selected with ${curve.points.length} points`);
+            this.suggestCalibrationValues(axis);
         }
 
         // Auto-advance from X to Y axis
@@ -564,23 +786,50 @@ class UnPlotApp {
                 return;
             }
             const allCurves = this.pathExtractor.getCurves();
-            const curves = [...selectedIndices].map(i => ({ ...allCurves[i], curveIndex: i }));
-            this.labeledCurves.push({ label, curves });
-            console.log(`Saved ${curves.length} curve(s) with label "${label}"`);
+            const curves = [...selectedIndices].map(i => ({ ...allCurves[i], curveIndex: i, pageNum: this.currentPageNum }));
+            const series = { label, curves, calibrationKey: this.getCalibrationKey() };
+
+            // A selection started from a marker group exports one point per
+            // marker, one from a bar series one point per bar and one from a
+            // band its lower and upper boundaries
+            if (this.selectedStyleGroup && this.selectedStyleGroup.kind === 'bands') {
+                series.kind = 'bands';
+            } else if (this.selectedStyleGroup && this.selectedStyleGroup.kind === 'bars') {
+                series.kind = 'bars';
+                series.barLayout = this.selectedStyleGroup.layout;
+            } else if (this.selectedStyleGroup && this.selectedStyleGroup.kind === 'markers') {
+                series.kind = 'markers';
+                if (this.selectedStyleGroup.errorBarIndices.length > 0) {
+                    series.errorBarCurves = this.selectedStyleGroup.errorBarIndices
+                        .map(i => ({ ...allCurves[i], curveIndex: i, pageNum: this.currentPageNum }));
+                }
+            }
+            this.recordLabelChange(`Add "${label}"`, () => this.labeledCurves.push(series));
+            console.log(`Saved ${curves.length} curve(s) with label "${label}"${series.kind ? ` as ${series.kind}` : ''}`);
             this.canvasOverlay.clearMultiSelection();
+            this.selectedStyleGroup = null;
         } else {
             if (!this.selectedCurveForLabeling) {
                 console.log('No curve selected. Please click on a curve first.');
                 return;
             }
             const existingIndex = this.labeledCurves.findIndex(
-                lc => lc.curves.length === 1 && lc.curves[0].curveIndex === this.selectedCurveForLabeling.curveIndex
+                lc => lc.curves.length === 1 &&
+                      lc.curves[0].curveIndex === this.selectedCurveForLabeling.curveIndex &&
+                      lc.calibrationKey === this.getCalibrationKey()
             );
             if (existingIndex >= 0) {
-                this.labeledCurves[existingIndex].label = label;
+                const oldLabel = this.labeledCurves[existingIndex].label;
+                this.recordLabelChange(`Rename "${oldLabel}" to "${label}"`, () => {
+                    this.labeledCurves[existingIndex].label = label;
+                });
                 console.log(`Updated label for curve to "${label}"`);
             } else {
-                this.labeledCurves.push({ label, curves: [this.selectedCurveForLabeling] });
+                this.recordLabelChange(`Add "${label}"`, () => this.labeledCurves.push({
+                    label,
+                    curves: [{ ...this.selectedCurveForLabeling, pageNum: this.currentPageNum }],
+                    calibrationKey: this.getCalibrationKey()
+                }));
                 console.log(`Saved curve with label "${label}"`);
             }
             this.canvasOverlay.clearSelection();
@@ -591,7 +840,7 @@ class UnPlotApp {
         this.updateCurveBrowser();
         this.updateExportPreview();
 
-        if (this.labeledCurves.length > 0 && this.axisCalibrator.isCalibrated) {
+        if (this.hasExportableCurves()) {
             this.exportSection.style.display = 'block';
         }
     }
@@ -604,50 +853,326 @@ class UnPlotApp {
         if (!this.multiSelectMode) {
             this.selectedCurveForLabeling = null;
         }
-        if (this.labelingInstruction) {
+        this.updateLabelingInstruction();
+    }
+
+    updateLabelingInstruction() {
+        if (!this.labelingInstruction) return;
+
+        if (this.editingSeries) {
+            this.labelingInstruction.textContent =
+                `Click curves to add them to "${this.editingSeries.label}"; click ± again when done.`;
+        } else {
             this.labelingInstruction.textContent = this.multiSelectMode
                 ? 'Enter a label, then click curves to add them to that dataset.'
                 : 'Click on a curve to select it, then enter a label to add it.';
         }
     }
 
+    groupCurvesByStyle() {
+        // Only offer curves inside the active figure region
+        const curves = this.pathExtractor.getCurves();
+        const groups = this.pathExtractor.groupCurvesByStyle()
+            .map(group => ({
+                ...group,
+                curveIndices: group.curveIndices.filter(i => !this.canvasOverlay || this.canvasOverlay.isCurveInScope(curves[i]))
+            }))
+            .filter(group => group.curveIndices.length > 0);
+
+        this.showStyleGroups(groups, 'No curves on this page');
+        console.log(`Found ${this.styleGroups.length} style groups`);
+    }
+
+    /**
+     * Offer repeated small glyphs (scatter markers) grouped by shape, size
+     * and color, in the same list as style groups
+     */
+    detectMarkers() {
+        const curves = this.pathExtractor.getCurves();
+        const inScope = curves
+            .map((curve, i) => i)
+            .filter(i => !this.canvasOverlay || this.canvasOverlay.isCurveInScope(curves[i]));
+        const groups = this.markerDetector.detect(curves, inScope)
+            .map(group => ({ ...group, kind: 'markers' }));
+
+        this.showStyleGroups(groups, 'No repeated markers on this page');
+        console.log(`Found ${this.styleGroups.length} marker groups`);
+    }
+
+    /**
+     * Offer filled rectangles kept whole as bar series, one per fill color
+     */
+    detectBars() {
+        const curves = this.pathExtractor.getCurves();
+        const inScope = curves
+            .map((curve, i) => i)
+            .filter(i => !this.canvasOverlay || this.canvasOverlay.isCurveInScope(curves[i]));
+        const groups = this.barDetector.detect(curves, inScope)
+            .map(group => ({ ...group, kind: 'bars' }));
+
+        this.showStyleGroups(groups, 'No filled bars on this page');
+        console.log(`Found ${this.styleGroups.length} bar series`);
+    }
+
+    /**
+     * Offer filled outlines (confidence bands, filled areas) to be split
+     * into lower and upper boundaries
+     */
+    detectBands() {
+        const curves = this.pathExtractor.getCurves();
+        const inScope = curves
+            .map((curve, i) => i)
+            .filter(i => !this.canvasOverlay || this.canvasOverlay.isCurveInScope(curves[i]));
+        const groups = this.bandDetector.detect(curves, inScope)
+            .map(group => ({ ...group, kind: 'bands' }));
+
+        this.showStyleGroups(groups, 'No filled bands on this page');
+        console.log(`Found ${this.styleGroups.length} bands`);
+    }
+
+    showStyleGroups(groups, emptyMessage) {
+        this.styleGroups = groups;
+        this.selectedStyleGroup = null;
+        this.styleGroupList.innerHTML = '';
+
+        if (this.styleGroups.length === 0) {
+            this.styleGroupList.innerHTML = `<li class="empty-message">${emptyMessage}</li>`;
+            this.styleGroupList.style.display = 'block';
+            return;
+        }
+
+        this.styleGroups.forEach((group, index) => {
+            const li = document.createElement('li');
+            li.className = 'curve-list-item';
+            li.dataset.index = index;
+
+            const swatchColor = group.strokeColor || group.fillColor;
+            const swatchCss = swatchColor
+                ? `rgb(${swatchColor.r}, ${swatchColor.g}, ${swatchColor.b})`
+                : 'transparent';
+
+            const isMarkers = group.kind === 'markers';
+            const isBars = group.kind === 'bars';
+            const isBands = group.kind === 'bands';
+            const count = isMarkers ? group.markers.length
+                : isBars ? group.bars.length
+                : isBands ? group.pointCount
+                : group.curveIndices.length;
+            const noun = isMarkers ? 'marker' : isBars ? 'bar' : isBands ? 'point' : 'curve';
+            let name = isMarkers
+                ? `${group.shape} ${parseFloat(group.width.toFixed(2))}×${parseFloat(group.height.toFixed(2))}pt`
+                : this.describeCurveStyle(group) || group.operation;
+            if (isBars) {
+                name = `${group.layout.orientation} bars`;
+            } else if (isBands) {
+                name = 'filled band';
+            }
+            if (isMarkers && group.errorBarIndices.length > 0) {
+                name += ' with error bars';
+            }
+
+            li.innerHTML = `
+                <div class="curve-info">
+                    <span class="curve-swatch" style="background: ${swatchCss}"></span>
+                    <span class="curve-label">${name}</span>
+                    <span class="curve-details" style="float: right">${count} ${noun}${count === 1 ? '' : 's'}</span>
+                </div>
+            `;
+
+            li.addEventListener('click', () => this.selectStyleGroup(index));
+            this.styleGroupList.appendChild(li);
+        });
+
+        this.styleGroupList.style.display = 'block';
+    }
+
+    selectStyleGroup(index) {
+        const group = this.styleGroups[index];
+        if (!group || !this.canvasOverlay) return;
+
+        const before = this.getSelectionState();
+
+        // A style group is offered as a ready-made multi-selection
+        if (!this.multiSelectMode) {
+            this.multiSelectCheckbox.checked = true;
+            this.toggleMultiSelectMode();
+        }
+        this.canvasOverlay.setMultiSelectedIndices(group.curveIndices);
+        this.selectedStyleGroup = group;
+        this.updateStyleGroupHighlight();
+        this.recordSelectionChange(`Select ${group.kind ? group.kind.replace(/s$/, '') : 'style'} group ${index + 1}`, before);
+
+        if (group.kind === 'markers') {
+            console.log(`Selected ${group.markers.length} ${group.shape} markers - enter a label to save them`);
+        } else if (group.kind === 'bars') {
+            console.log(`Selected ${group.bars.length} bars - enter a label to save them`);
+        } else if (group.kind === 'bands') {
+            console.log('Selected a filled band - enter a label to save its lower and upper boundaries');
+        } else {
+            console.log(`Selected ${group.curveIndices.length} curve(s) with matching style - enter a label to save them`);
+        }
+        this.curveLabelInput.focus();
+    }
+
+    updateStyleGroupHighlight() {
+        const index = this.styleGroups.indexOf(this.selectedStyleGroup);
+        this.styleGroupList.querySelectorAll('.curve-list-item').forEach(item => {
+            item.classList.toggle('active', parseInt(item.dataset.index) === index);
+        });
+    }
+
+    clearStyleGroups() {
+        this.styleGroups = [];
+        this.selectedStyleGroup = null;
+        if (this.styleGroupList) {
+            this.styleGroupList.innerHTML = '';
+            this.styleGroupList.style.display = 'none';
+        }
+    }
+
     updateCurveBrowser() {
+        // A series can only be edited on its own page or figure
+        const activeKey = this.getCalibrationKey();
+        if (this.editingSeries &&
+            (!this.labeledCurves.includes(this.editingSeries) || this.editingSeries.calibrationKey !== activeKey)) {
+            this.closeSeriesEditing();
+        }
+        this.updateLabelingInstruction();
+
         if (this.labeledCurves.length === 0) {
             this.curveList.innerHTML = '<li class="empty-message">No curves added yet</li>';
             return;
         }
 
+        // List the active page or figure's curves; the rest are only counted
+        const elsewhere = this.labeledCurves.filter(lc => lc.calibrationKey !== activeKey).length;
+
         this.curveList.innerHTML = '';
         this.labeledCurves.forEach((labeledCurve, index) => {
+            if (labeledCurve.calibrationKey !== activeKey) return;
+
+            const isEditing = labeledCurve === this.editingSeries;
             const li = document.createElement('li');
-            li.className = 'curve-list-item';
+            li.className = isEditing ? 'curve-list-item editing' : 'curve-list-item';
             li.dataset.index = index;
+            li.draggable = true;
 
             const totalPoints = labeledCurve.curves.reduce((sum, c) => sum + c.points.length, 0);
-            const detailStr = labeledCurve.curves.length > 1
+            let detailStr = labeledCurve.curves.length > 1
                 ? `${labeledCurve.curves.length} curves, ${totalPoints} pts`
                 : `${totalPoints} pts`;
+            if (labeledCurve.kind === 'markers') {
+                detailStr = `${this.markerDetector.findGlyphs(labeledCurve.curves).length} markers`;
+                if (labeledCurve.errorBarCurves) detailStr += ' ± error';
+            } else if (labeledCurve.kind === 'bars') {
+                detailStr = `${this.barDetector.findRectangles(labeledCurve.curves).length} bars`;
+            } else if (labeledCurve.kind === 'bands') {
+                detailStr = labeledCurve.curves.length > 1 ? `${labeledCurve.curves.length} bands` : 'band';
+            }
+            const calibrator = this.getCalibratorFor(labeledCurve);
+            const warning = calibrator && calibrator.isCalibrated
+                ? ''
+                : ' <span class="curve-warning" title="This calibration is not complete">⚠</span>';
+
+            const firstCurve = labeledCurve.curves[0];
+            const swatchColor = firstCurve.strokeColor || firstCurve.fillColor;
+            const swatchCss = swatchColor
+                ? `rgb(${swatchColor.r}, ${swatchColor.g}, ${swatchColor.b})`
+                : 'transparent';
+
+            // Member curves are listed while the series is open for editing
+            const members = isEditing ? `
+                    <ul class="series-members">
+                        ${labeledCurve.curves.map((curve, memberIndex) => `
+                        <li>
+                            <span>Curve ${curve.curveIndex} · ${curve.points.length} pts</span>
+                            <button class="btn btn-icon btn-danger" data-action="remove-member" data-member="${memberIndex}"
+                                    title="Remove this curve from the series">✕</button>
+                        </li>`).join('')}
+                    </ul>
+                    <div class="series-edit-hint">Click curves on the page to add them</div>` : '';
 
             li.innerHTML = `
                 <div class="curve-info">
-                    <span class="curve-label">${this.escapeHtml(labeledCurve.label)}</span>
+                    <span class="curve-swatch" style="background: ${swatchCss}"></span>
+                    <span class="curve-label" title="Double-click to rename">${this.escapeHtml(labeledCurve.label)}</span>
                     <span class="curve-details" style="float: right">${detailStr}</span>
+                    <div class="curve-style">${this.describeCalibrationKey(labeledCurve.calibrationKey)}${warning} · ${this.describeCurveStyle(firstCurve)}</div>
+                    ${members}
                 </div>
                 <div class="curve-actions">
-                    <button class="btn btn-icon btn-danger" data-action="delete" data-index="${index}">✕</button>
+                    <button class="btn btn-icon" data-action="rename" title="Rename">✎</button>
+                    <button class="btn btn-icon${isEditing ? ' active' : ''}" data-action="edit" title="Add or remove curves">±</button>
+                    <button class="btn btn-icon btn-danger" data-action="delete" data-index="${index}" title="Delete">✕</button>
                 </div>
             `;
 
             li.addEventListener('click', (e) => {
-                if (e.target.dataset.action === 'delete') {
+                const action = e.target.dataset.action;
+                if (action === 'delete') {
                     this.deleteLabeledCurve(index);
-                } else {
+                } else if (action === 'rename') {
+                    this.startRenamingLabeledCurve(li, index);
+                } else if (action === 'edit') {
+                    this.toggleSeriesEditing(index);
+                } else if (action === 'remove-member') {
+                    this.removeCurveFromLabeledCurve(index, parseInt(e.target.dataset.member, 10));
+                } else if (e.target.tagName !== 'INPUT') {
                     this.highlightCurveInBrowser(index);
                 }
             });
+            li.querySelector('.curve-label').addEventListener('dblclick', () => this.startRenamingLabeledCurve(li, index));
+
+            // Dragging a series onto another moves it there
+            li.addEventListener('dragstart', (e) => {
+                this.draggedSeriesIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(index));
+                li.classList.add('dragging');
+            });
+            li.addEventListener('dragend', () => {
+                this.draggedSeriesIndex = null;
+                li.classList.remove('dragging');
+            });
+            li.addEventListener('dragover', (e) => {
+                if (this.draggedSeriesIndex === null || this.draggedSeriesIndex === index) return;
+                e.preventDefault();
+                li.classList.add('drag-over');
+            });
+            li.addEventListener('dragleave', () => li.classList.remove('drag-over'));
+            li.addEventListener('drop', (e) => {
+                e.preventDefault();
+                li.classList.remove('drag-over');
+                this.moveLabeledCurve(this.draggedSeriesIndex, index);
+            });
 
             this.curveList.appendChild(li);
         });
+
+        if (elsewhere > 0) {
+            const li = document.createElement('li');
+            li.className = 'empty-message';
+            li.textContent = `${elsewhere} more labeled ${elsewhere === 1 ? 'curve' : 'curves'} on other pages or figures`;
+            this.curveList.appendChild(li);
+        }
+
+        if (this.editingSeries) {
+            this.highlightCurveInBrowser(this.labeledCurves.indexOf(this.editingSeries));
+        }
+    }
+
+    describeCurveStyle(curve) {
+        const style = curve.strokeStyle;
+        if (!style) {
+            return curve.fillColor ? 'filled' : '';
+        }
+
+        const width = `${parseFloat(style.lineWidth.toFixed(2))}pt`;
+        const dash = style.dashArray.length > 0
+            ? `dashed [${style.dashArray.map(d => parseFloat(d.toFixed(2))).join(' ')}]`
+            : 'solid';
+
+        return `${width} ${dash}, ${style.lineCap} cap, ${style.lineJoin} join`;
     }
 
     highlightCurveInBrowser(index) {
@@ -660,16 +1185,21 @@ class UnPlotApp {
             item.classList.add('active');
         }
 
+        // Curve indices only mean something on the page they came from
         const labeledCurve = this.labeledCurves[index];
         if (labeledCurve && this.canvasOverlay) {
-            this.canvasOverlay.setHighlightedCurveIndices(labeledCurve.curves.map(c => c.curveIndex));
+            const onPage = labeledCurve.curves.filter(c => c.pageNum === this.currentPageNum);
+            this.canvasOverlay.setHighlightedCurveIndices(onPage.map(c => c.curveIndex));
+            if (onPage.length === 0) {
+                console.log(`"${labeledCurve.label}" is on ${this.describeCalibrationKey(labeledCurve.calibrationKey)}`);
+            }
         }
 
     }
 
     deleteLabeledCurve(index) {
         const labeledCurve = this.labeledCurves[index];
-        this.labeledCurves.splice(index, 1);
+        this.recordLabelChange(`Delete "${labeledCurve.label}"`, () => this.labeledCurves.splice(index, 1));
         console.log(`Deleted labeled curve "${labeledCurve.label}"`);
         this.updateCurveBrowser();
         this.updateExportPreview();
@@ -686,20 +1216,159 @@ class UnPlotApp {
     deleteAllLabels() {
         if (this.labeledCurves.length === 0) return;
 
-        if (confirm(`Are you sure you want to delete all ${this.labeledCurves.length} labeled curves?`)) {
+        // No confirmation: the history can bring them back
+        const count = this.labeledCurves.length;
+        this.recordLabelChange(`Delete all ${count} labels`, () => {
             this.labeledCurves = [];
-            this.updateCurveBrowser();
+        });
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.clearHighlight();
+            this.canvasOverlay.clearMultiSelection();
+        }
+        this.exportSection.style.display = 'none';
+        console.log(`Cleared all ${count} labeled curves - undo (Ctrl+Z) to restore them`);
+    }
+
+    // ── Series editing ─────────────────────────────────────────────────────
+
+    /**
+     * Swap a series' label in the curve list for a text field; Enter or
+     * leaving the field renames, Escape cancels
+     */
+    startRenamingLabeledCurve(item, index) {
+        const labelElement = item.querySelector('.curve-label');
+        if (!labelElement) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'curve-label-input';
+        input.value = this.labeledCurves[index].label;
+        item.draggable = false;
+        labelElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (rename) => {
+            if (finished) return;
+            finished = true;
+            if (rename) {
+                this.renameLabeledCurve(index, input.value);
+            } else {
+                this.updateCurveBrowser();
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    renameLabeledCurve(index, label) {
+        const labeledCurve = this.labeledCurves[index];
+        const newLabel = label.trim();
+
+        if (labeledCurve && newLabel && newLabel !== labeledCurve.label) {
+            const oldLabel = labeledCurve.label;
+            this.recordLabelChange(`Rename "${oldLabel}" to "${newLabel}"`, () => {
+                labeledCurve.label = newLabel;
+            });
+            console.log(`Renamed "${oldLabel}" to "${newLabel}"`);
             this.updateExportPreview();
+        }
+        this.updateCurveBrowser();
+    }
+
+    /**
+     * Move a series to another series' place in the list, which is the
+     * order they are exported in
+     */
+    moveLabeledCurve(from, to) {
+        const labeledCurve = this.labeledCurves[from];
+        if (!labeledCurve || from === to || !this.labeledCurves[to]) return;
+
+        this.recordLabelChange(`Move "${labeledCurve.label}"`, () => {
+            this.labeledCurves.splice(from, 1);
+            this.labeledCurves.splice(to, 0, labeledCurve);
+        });
+
+        console.log(`Moved "${labeledCurve.label}" to position ${to + 1}`);
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+    }
 
+    /**
+     * Open a series to add curves to it from the page and remove its
+     * member curves, or close it again
+     */
+    toggleSeriesEditing(index) {
+        if (this.editingSeries === this.labeledCurves[index]) {
+            this.closeSeriesEditing();
+            if (this.canvasOverlay) this.canvasOverlay.clearHighlight();
+        } else {
+            this.editingSeries = this.labeledCurves[index];
             if (this.canvasOverlay) {
-                this.canvasOverlay.clearHighlight();
+                this.canvasOverlay.clearSelection();
                 this.canvasOverlay.clearMultiSelection();
             }
-            this.exportSection.style.display = 'none';
-            console.log('Cleared all labeled curves');
+            this.selectedCurveForLabeling = null;
+            console.log(`Editing "${this.labeledCurves[index].label}" - click curves to add them`);
+        }
+        this.updateCurveBrowser();
+    }
+
+    closeSeriesEditing() {
+        if (!this.editingSeries) return;
+
+        this.editingSeries = null;
+        this.updateLabelingInstruction();
+    }
+
+    addCurveToLabeledCurve(index, curve) {
+        const labeledCurve = this.labeledCurves[index];
+        if (!labeledCurve) return;
+
+        if (labeledCurve.calibrationKey !== this.getCalibrationKey()) {
+            console.log(`"${labeledCurve.label}" belongs to ${this.describeCalibrationKey(labeledCurve.calibrationKey)}`);
+            return;
+        }
+        if (labeledCurve.curves.some(c => c.pageNum === this.currentPageNum && c.curveIndex === curve.curveIndex)) {
+            console.log(`Curve ${curve.curveIndex} is already in "${labeledCurve.label}"`);
+            return;
+        }
+
+        this.recordLabelChange(`Add curve ${curve.curveIndex} to "${labeledCurve.label}"`, () => {
+            labeledCurve.curves = [...labeledCurve.curves, { ...curve, pageNum: this.currentPageNum }];
+        });
+        console.log(`Added curve ${curve.curveIndex} to "${labeledCurve.label}"`);
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+    }
+
+    removeCurveFromLabeledCurve(index, memberIndex) {
+        const labeledCurve = this.labeledCurves[index];
+        if (!labeledCurve || !labeledCurve.curves[memberIndex]) return;
+
+        if (labeledCurve.curves.length === 1) {
+            console.log(`"${labeledCurve.label}" needs at least one curve - delete the series instead`);
+            return;
         }
+
+        const curveIndex = labeledCurve.curves[memberIndex].curveIndex;
+        this.recordLabelChange(`Remove curve ${curveIndex} from "${labeledCurve.label}"`, () => {
+            labeledCurve.curves = labeledCurve.curves.filter((_, i) => i !== memberIndex);
+        });
+        console.log(`Removed curve ${curveIndex} from "${labeledCurve.label}"`);
+        this.updateCurveBrowser();
+        this.updateExportPreview();
     }
 
+    // ── End series editing ─────────────────────────────────────────────────
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -707,15 +1376,16 @@ class UnPlotApp {
     }
 
     updateExportPreview() {
-        if (this.labeledCurves.length === 0 || !this.axisCalibrator.isCalibrated) {
+        if (!this.hasExportableCurves()) {
             this.exportPreview.textContent = 'No data to preview';
             return;
         }
 
         try {
-            this.dataExporter.prepareDataFromLabeledCurves(this.labeledCurves, this.axisCalibrator);
+            const options = this.getExportOptions();
+            this.dataExporter.prepareDataFromLabeledCurves(this.labeledCurves, (lc) => this.getCalibratorFor(lc), options);
 
-            const csvPreview = this.dataExporter.exportAsCSV();
+            const csvPreview = this.dataExporter.exportAsCSV(options.csv);
 
             const lines = csvPreview.split('\n').slice(0, 11);
             this.exportPreview.textContent = lines.join('\n');
@@ -724,35 +1394,158 @@ class UnPlotApp {
         }
     }
 
+    /**
+     * Export settings from the export panel, as taken by
+     * DataExporter.prepareDataFromLabeledCurves (csv by exportAsCSV)
+     */
+    getExportOptions() {
+        const mode = this.resampleModeSelect.value;
+        return {
+            mergeSegments: this.mergeSegmentsCheckbox.checked,
+            resample: {
+                mode: mode,
+                count: parseInt(this.resampleCountInput.value),
+                values: mode === 'values' ? this.dataExporter.parseGridValues(this.resampleValuesInput.value) : []
+            },
+            csv: {
+                layout: this.csvLayoutSelect.value,
+                delimiter: this.csvDelimiterSelect.value,
+                decimal: this.csvDecimalSelect.value,
+                header: this.csvHeaderCheckbox.checked
+            }
+        };
+    }
+
+    /**
+     * A decimal comma cannot share the comma delimiter: switch to semicolon,
+     * as European spreadsheets expect, and keep comma unselectable meanwhile
+     */
+    updateCsvDelimiterOptions() {
+        const decimalComma = this.csvDecimalSelect.value === ',';
+        const commaOption = this.csvDelimiterSelect.querySelector('option[value="comma"]');
+        commaOption.disabled = decimalComma;
+        if (decimalComma && this.csvDelimiterSelect.value === 'comma') {
+            this.csvDelimiterSelect.value = 'semicolon';
+        }
+    }
+
+    /**
+     * Show why an export failed in the export panel; null hides the message
+     */
+    showExportError(message) {
+        this.exportError.textContent = message || '';
+        this.exportError.style.display = message ? 'block' : 'none';
+    }
+
+    updateResampleControls() {
+        const mode = this.resampleModeSelect.value;
+        this.resampleCountControls.style.display = mode === 'uniform' || mode === 'log' ? 'inline' : 'none';
+        this.resampleValuesControls.style.display = mode === 'values' ? 'flex' : 'none';
+        this.updateExportPreview();
+    }
+
+    async loadResampleValues(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            this.resampleValuesInput.value = await file.text();
+            console.log(`Loaded ${this.dataExporter.parseGridValues(this.resampleValuesInput.value).length} X values from ${file.name}`);
+            this.updateExportPreview();
+        } catch (error) {
+            console.error(`Error reading X values: ${error.message}`, error);
+        }
+    }
+
     exportData(type) {
         if (this.labeledCurves.length === 0) {
             console.log('No labeled curves to export');
             return;
         }
 
-        if (!this.axisCalibrator.isCalibrated) {
+        if (!this.hasExportableCurves()) {
             console.log('Calibration required before export');
             return;
         }
 
-        try {
-            this.dataExporter.prepareDataFromLabeledCurves(this.labeledCurves, this.axisCalibrator);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const options = this.getExportOptions();
+        this.showExportError(null);
+
+        // A workbook holds every page and figure, one sheet per series
+        if (type === 'xlsx') {
+            try {
+                this.dataExporter.prepareDataFromLabeledCurves(this.labeledCurves, (lc) => this.getCalibratorFor(lc), options);
+                this.dataExporter.downloadXLSX(`extracted_data_${timestamp}.xlsx`, this.getExportSummary());
+                console.log(`Exported ${this.dataExporter.labeledCurves.length} labeled curves as an Excel workbook`);
+            } catch (error) {
+                console.error(`Export error: ${error.message}`, error);
+                this.showExportError(`Export failed: ${error.message}`);
+            }
+            return;
+        }
 
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            const filename = `extracted_data_${timestamp}`;
+        // One dataset per page or figure region when curves come from several
+        const groups = new Map();
+        this.labeledCurves.forEach(lc => {
+            if (!groups.has(lc.calibrationKey)) groups.set(lc.calibrationKey, []);
+            groups.get(lc.calibrationKey).push(lc);
+        });
 
-            if (type === 'csv') {
-                this.dataExporter.downloadCSV(`${filename}.csv`);
-                console.log(`Exported ${this.labeledCurves.length} labeled curves as CSV`);
-            } else if (type === 'json') {
-                this.dataExporter.downloadJSON(`${filename}.json`);
-                console.log(`Exported ${this.labeledCurves.length} labeled curves as JSON`);
+        const errors = [];
+        groups.forEach((labeledCurves, key) => {
+            const suffix = groups.size > 1
+                ? '_' + this.describeCalibrationKey(key).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+                : '';
+            const filename = `extracted_data${suffix}_${timestamp}`;
+
+            try {
+                this.dataExporter.prepareDataFromLabeledCurves(labeledCurves, (lc) => this.getCalibratorFor(lc), options);
+
+                if (type === 'csv') {
+                    this.dataExporter.downloadCSV(`${filename}.csv`, options.csv);
+                    console.log(`Exported ${labeledCurves.length} labeled curves as CSV`);
+                } else if (type === 'json') {
+                    this.dataExporter.downloadJSON(`${filename}.json`);
+                    console.log(`Exported ${labeledCurves.length} labeled curves as JSON`);
+                }
+            } catch (error) {
+                console.error(`Export error for ${this.describeCalibrationKey(key)}: ${error.message}`, error);
+                errors.push(groups.size > 1 ? `${this.describeCalibrationKey(key)}: ${error.message}` : error.message);
             }
-        } catch (error) {
-            console.error(`Export error: ${error.message}`, error);
+        });
+
+        if (errors.length > 0) {
+            this.showExportError(`Export failed: ${errors.join('; ')}`);
         }
     }
 
+    /**
+     * Source file and calibrations of the labeled curves, for the summary
+     * sheet of an Excel export
+     */
+    getExportSummary() {
+        const calibrations = {};
+        this.labeledCurves.forEach(({ calibrationKey }) => {
+            if (calibrations[calibrationKey]) return;
+
+            const snapshot = calibrationKey === this.activeCalibrationKey
+                ? { mode: this.getCalibrationModeName(), state: this.axisCalibrator.getState() }
+                : this.calibrations.get(calibrationKey);
+            const match = /^page-(\d+)/.exec(calibrationKey || '');
+
+            calibrations[calibrationKey] = {
+                name: this.describeCalibrationKey(calibrationKey),
+                pageNum: match ? parseInt(match[1], 10) : null,
+                mode: snapshot ? snapshot.mode : null,
+                state: snapshot ? snapshot.state : null
+            };
+        });
+
+        return { fileName: this.pdfFileName, calibrations };
+    }
+
     startSequentialCalibration() {
         // Start with X-axis
         this.calibrationMode = true;
@@ -768,12 +1561,80 @@ class UnPlotApp {
         this.canvas.style.cursor = 'crosshair';
     }
 
+    /**
+     * Look for plot axes among the page's curves and propose them as the
+     * calibration segments.  With several plots on a page and no figure
+     * regions yet, offer to add a figure region around each plot, each
+     * with its detected axes.
+     */
+    detectAxes() {
+        this.calibrationMode = false;
+        this.pendingCalibration = null;
+        this.canvas.style.cursor = 'default';
+        if (this.canvasOverlay) this._restoreSelectionMode();
+
+        const plots = this.axisDetector.detect(this.pathExtractor.getCurves(), this.pdfLoader.getRotation());
+        if (plots.length === 0) {
+            this.showCalibrationPrompt('No axes found - use Start Calibration to pick them');
+            return;
+        }
+
+        if (!this.activeFigure && plots.length > 1 && this.getPageFigures().length === 0 &&
+            confirm(`Found ${plots.length} plots on this page. Add a figure region for each?`)) {
+            const added = plots.map(plot => {
+                this.addFigureRegion(plot.bounds);
+                this.applyDetectedAxes(plot);
+                return this.activeFigure;
+            });
+            this.selectFigure(added[0]);
+            this.showCalibrationPrompt(`Added ${added.length} figures with detected axes - check each figure's values`);
+            return;
+        }
+
+        // The plot in the active figure, or the largest one on the page
+        const inScope = this.canvasOverlay
+            ? plots.filter(plot => this.canvasOverlay.isCurveInScope(plot.xAxis.curve) &&
+                                   this.canvasOverlay.isCurveInScope(plot.yAxis.curve))
+            : plots;
+        if (inScope.length === 0) {
+            this.showCalibrationPrompt('No axes found in this figure - use Start Calibration to pick them');
+            return;
+        }
+
+        const plot = inScope.reduce((best, p) => p.area > best.area ? p : best);
+        this.recordCalibrationChange('Detect axes', () => this.applyDetectedAxes(plot));
+
+        if (this.axisCalibrator.isCalibrated) {
+            this.showCalibrationPrompt('Axes detected - check the suggested values');
+        } else {
+            this.showCalibrationPrompt('Axes detected - now enter min/max values for each axis');
+        }
+    }
+
+    applyDetectedAxes(plot) {
+        ['x', 'y'].forEach(axis => {
+            const detected = axis === 'x' ? plot.xAxis : plot.yAxis;
+            const ticks = axis === 'x' ? plot.xTicks : plot.yTicks;
+
+            this.axisCalibrator.setCalibrationSegment(axis, detected.curve);
+            this.updateCalibrationStatus(axis, true);
+            console.log(`${axis.toUpperCase()}-axis detected (curve ${detected.curveIndex}, ${ticks.length} ticks)`);
+            this.suggestCalibrationValues(axis);
+        });
+
+        this.checkCalibrationComplete();
+    }
+
     // ── 1:1 scale calibration ──────────────────────────────────────────────
 
-    toggleCalibrationMode(isEqualScale) {
-        this.equalScaleMode = isEqualScale;
-        this.independentCalPanel.style.display = isEqualScale ? 'none' : 'block';
-        this.equalScalePanel.style.display     = isEqualScale ? 'block' : 'none';
+    toggleCalibrationMode(mode) {
+        this.equalScaleMode = mode === 'equalScale';
+        this.tickMode = mode === 'ticks';
+        this.affineMode = mode === 'affine';
+        this.independentCalPanel.style.display = mode === 'independent' ? 'block' : 'none';
+        this.equalScalePanel.style.display     = this.equalScaleMode ? 'block' : 'none';
+        this.tickCalPanel.style.display        = this.tickMode ? 'block' : 'none';
+        this.affineCalPanel.style.display      = this.affineMode ? 'block' : 'none';
         this.resetCalibration();
     }
 
@@ -873,57 +1734,321 @@ class UnPlotApp {
 
     // ── End 1:1 scale calibration ──────────────────────────────────────────
 
-    showCalibrationPrompt(message) {
-        if (this.calibrationPrompt) {
-            this.calibrationPrompt.textContent = message;
-            this.calibrationPrompt.style.display = 'inline';
-        }
-    }
-
-    hideCalibrationPrompt() {
-        if (this.calibrationPrompt) {
-            this.calibrationPrompt.textContent = '';
-            this.calibrationPrompt.style.display = 'none';
-        }
-    }
+    // ── Tick mark calibration ──────────────────────────────────────────────
 
-    startAxisSelection(axis) {
+    startTickSelection(axis) {
         this.calibrationMode = true;
-        this.pendingCalibration = { axis };
-
-        const info = this.axisCalibrator.startCalibration(axis);
-        console.log(info.message);
-
+        this.pendingCalibration = { step: 'tick', axis };
+        this.showCalibrationPrompt(`Click a tick mark or gridline on the ${axis.toUpperCase()}-axis`);
         if (this.canvasOverlay) {
             this.canvasOverlay.enableSingleSelectionMode(true);
         }
-
-        this.canvas.style.cursor = 'crosshair';
     }
 
-    updateCalibrationValue(axis, point) {
-        const input = axis === 'x' ?
-            (point === 'start' ? this.xMinInput : this.xMaxInput) :
-            (point === 'start' ? this.yMinInput : this.yMaxInput);
+    handleTickCalibrationCurve(curve) {
+        const { axis } = this.pendingCalibration;
+        const index = this.axisCalibrator.addTickReference(axis, curve);
+        console.log(`${axis.toUpperCase()}-axis tick reference added with ${curve.points.length} points`);
 
-        const value = parseFloat(input.value);
+        this.calibrationMode = false;
+        this.pendingCalibration = null;
+        this.showCalibrationPrompt(`Enter the ${axis.toUpperCase()} value at that tick`);
+        this.updateTickList(axis);
+        this._restoreSelectionMode();
 
-        if (!isNaN(value)) {
-            this.axisCalibrator.setCalibrationValue(axis, point, value);
-            this.checkCalibrationComplete();
-        }
+        // Jump straight to the value of the tick just added
+        const list = axis === 'x' ? this.xTickList : this.yTickList;
+        const input = list.querySelector(`input[data-index="${index}"]`);
+        if (input) input.focus();
     }
 
-    checkCalibrationComplete() {
-        const status = this.axisCalibrator.getCalibrationStatus();
+    updateTickList(axis) {
+        const list = axis === 'x' ? this.xTickList : this.yTickList;
+        const references = this.axisCalibrator.getTickReferences(axis);
 
-        if (status.isCalibrated) {
-            this.calibrationStatus.innerHTML = '<span class="status-text success">✅ Calibration Complete!</span>';
-            this.hideCalibrationPrompt();
+        list.innerHTML = '';
+        references.forEach((reference, index) => {
+            const position = this.axisCalibrator.getTickPosition(axis, reference.points);
 
-            this.exportSection.style.display = 'block';
-            this.updateExportPreview();
-        } else if (this.equalScaleMode) {
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <input type="number" step="any" placeholder="Value" data-index="${index}"
+                       value="${reference.value !== null ? reference.value : ''}">
+                <span class="tick-position">at ${position.toFixed(1)}</span>
+                <button class="btn btn-icon btn-danger" data-action="delete">✕</button>
+            `;
+
+            const input = li.querySelector('input');
+            input.addEventListener('change', () => {
+                this.recordCalibrationChange(`Set ${axis.toUpperCase()} tick ${index + 1} value`, () => {
+                    this.axisCalibrator.setTickValue(axis, index, input.value);
+                    this.hideCalibrationPrompt();
+                    this.updateTickResidual(axis);
+                    this.checkCalibrationComplete();
+                });
+            });
+            input.addEventListener('focus', () => {
+                if (this.canvasOverlay && reference.curveIndex !== undefined) {
+                    this.canvasOverlay.highlightCurveByIndex(reference.curveIndex);
+                }
+            });
+
+            li.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                this.recordCalibrationChange(`Remove ${axis.toUpperCase()} tick ${index + 1}`, () => {
+                    this.axisCalibrator.removeTickReference(axis, index);
+                    this.updateTickList(axis);
+                });
+                if (this.canvasOverlay) this.canvasOverlay.clearHighlight();
+            });
+
+            list.appendChild(li);
+        });
+
+        this.updateTickResidual(axis);
+        this.checkCalibrationComplete();
+    }
+
+    updateTickResidual(axis) {
+        const element = axis === 'x' ? this.xTickResidual : this.yTickResidual;
+        const count = this.axisCalibrator.getTickReferences(axis).length;
+        const fit = this.axisCalibrator.getFitResidual(axis);
+
+        if (count === 0) {
+            element.textContent = '';
+        } else if (!fit) {
+            element.textContent = 'Enter values for at least two ticks at different positions';
+        } else if (fit.count === 2) {
+            element.textContent = 'Exact fit through 2 ticks';
+        } else {
+            const units = fit.scaleType === 'log' ? ' decades' : '';
+            element.textContent = `Least-squares fit through ${fit.count} ticks: ` +
+                `RMS residual ${parseFloat(fit.rms.toPrecision(3))}${units} ` +
+                `(${(fit.relative * 100).toFixed(2)}% of range)`;
+        }
+    }
+
+    updateTickScaleType(axis) {
+        const checkbox = axis === 'x' ? this.xTickLogScaleCheckbox : this.yTickLogScaleCheckbox;
+        this.axisCalibrator.setScaleType(axis, checkbox.checked ? 'log' : 'linear');
+        this.updateTickResidual(axis);
+        this.checkCalibrationComplete();
+
+        if (this.axisCalibrator.isCalibrated && this.labeledCurves.length > 0) {
+            this.updateExportPreview();
+        }
+    }
+
+    // ── End tick mark calibration ──────────────────────────────────────────
+
+    // ── Reference point (affine) calibration ───────────────────────────────
+
+    startAffinePointSelection() {
+        this.calibrationMode = true;
+        this.pendingCalibration = { step: 'affine' };
+        this.showCalibrationPrompt('Click near a line end or corner to use it as a reference point');
+        if (this.canvasOverlay) {
+            this.canvasOverlay.enableSingleSelectionMode(true);
+        }
+    }
+
+    handleAffineCalibrationPoint(detail) {
+        this.calibrationMode = false;
+        this.pendingCalibration = null;
+
+        if (!detail.point) {
+            this.hideCalibrationPrompt();
+            this._restoreSelectionMode();
+            return;
+        }
+
+        const index = this.axisCalibrator.addAffineReference(detail.point);
+        console.log(`Reference point ${index + 1} added at (${detail.point.x.toFixed(2)}, ${detail.point.y.toFixed(2)})`);
+
+        this.showCalibrationPrompt('Enter the X and Y values at that point');
+        this.updateAffinePointList();
+        this._restoreSelectionMode();
+
+        const input = this.affinePointList.querySelector(`input[data-index="${index}"][data-coord="x"]`);
+        if (input) input.focus();
+    }
+
+    updateAffinePointList() {
+        const references = this.axisCalibrator.getAffineReferences();
+
+        this.affinePointList.innerHTML = '';
+        references.forEach((reference, index) => {
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <span>${index + 1}.</span>
+                <input type="number" step="any" placeholder="X" data-index="${index}" data-coord="x"
+                       value="${reference.data.x !== null ? reference.data.x : ''}">
+                <input type="number" step="any" placeholder="Y" data-index="${index}" data-coord="y"
+                       value="${reference.data.y !== null ? reference.data.y : ''}">
+                <span class="tick-position">at (${reference.pdf.x.toFixed(1)}, ${reference.pdf.y.toFixed(1)})</span>
+                <button class="btn btn-icon btn-danger" data-action="delete">✕</button>
+            `;
+
+            li.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => {
+                    const coord = input.dataset.coord;
+                    this.recordCalibrationChange(`Set point ${index + 1} ${coord.toUpperCase()} value`, () => {
+                        this.axisCalibrator.setAffineReferenceValue(index, coord, input.value);
+                        this.hideCalibrationPrompt();
+                        this.updateAffineResidual();
+                        this.checkCalibrationComplete();
+                    });
+                });
+            });
+
+            li.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                this.recordCalibrationChange(`Remove reference point ${index + 1}`, () => {
+                    this.axisCalibrator.removeAffineReference(index);
+                    this.updateAffinePointList();
+                });
+            });
+
+            this.affinePointList.appendChild(li);
+        });
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.setReferencePoints(references.map(r => r.pdf));
+        }
+
+        this.updateAffineResidual();
+        this.checkCalibrationComplete();
+    }
+
+    updateAffineResidual() {
+        const count = this.axisCalibrator.getAffineReferences().length;
+        const residual = this.axisCalibrator.getAffineResidual();
+
+        if (count === 0) {
+            this.affineResidual.textContent = '';
+        } else if (!residual) {
+            this.affineResidual.textContent = 'Enter X and Y values for at least three points that are not in a line';
+        } else if (residual.count === 3) {
+            this.affineResidual.textContent = 'Exact fit through 3 points';
+        } else {
+            const format = (value, axis) => {
+                const units = this.axisCalibrator.getScaleType(axis) === 'log' ? ' decades' : '';
+                return `${parseFloat(value.toPrecision(3))}${units}`;
+            };
+            this.affineResidual.textContent = `Least-squares fit through ${residual.count} points: ` +
+                `RMS residual X ${format(residual.x, 'x')}, Y ${format(residual.y, 'y')}`;
+        }
+    }
+
+    updateAffineScaleType(axis) {
+        const checkbox = axis === 'x' ? this.xAffineLogScaleCheckbox : this.yAffineLogScaleCheckbox;
+        this.axisCalibrator.setScaleType(axis, checkbox.checked ? 'log' : 'linear');
+        this.updateAffineResidual();
+        this.checkCalibrationComplete();
+
+        if (this.axisCalibrator.isCalibrated && this.labeledCurves.length > 0) {
+            this.updateExportPreview();
+        }
+    }
+
+    // ── End reference point (affine) calibration ───────────────────────────
+
+    showCalibrationPrompt(message) {
+        if (this.calibrationPrompt) {
+            this.calibrationPrompt.textContent = message;
+            this.calibrationPrompt.style.display = 'inline';
+        }
+    }
+
+    hideCalibrationPrompt() {
+        if (this.calibrationPrompt) {
+            this.calibrationPrompt.textContent = '';
+            this.calibrationPrompt.style.display = 'none';
+        }
+    }
+
+    startAxisSelection(axis) {
+        this.calibrationMode = true;
+        this.pendingCalibration = { axis };
+
+        const info = this.axisCalibrator.startCalibration(axis);
+        console.log(info.message);
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.enableSingleSelectionMode(true);
+        }
+
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    updateCalibrationValue(axis, point) {
+        const input = axis === 'x' ?
+            (point === 'start' ? this.xMinInput : this.xMaxInput) :
+            (point === 'start' ? this.yMinInput : this.yMaxInput);
+
+        const value = parseFloat(input.value);
+
+        if (!isNaN(value)) {
+            this.axisCalibrator.setCalibrationValue(axis, point, value);
+            this.checkCalibrationComplete();
+        }
+    }
+
+    suggestCalibrationValues(axis) {
+        const minInput = axis === 'x' ? this.xMinInput : this.yMinInput;
+        const maxInput = axis === 'x' ? this.xMaxInput : this.yMaxInput;
+        const checkbox = axis === 'x' ? this.xLogScaleCheckbox : this.yLogScaleCheckbox;
+
+        // Never overwrite values the user has typed
+        if (minInput.value !== '' || maxInput.value !== '') {
+            return;
+        }
+
+        const suggestion = this.axisCalibrator.suggestCalibrationFromLabels(axis, this.tickLabels);
+        if (!suggestion) {
+            console.log(`No tick labels found for the ${axis.toUpperCase()}-axis`);
+            return;
+        }
+
+        minInput.value = suggestion.min;
+        maxInput.value = suggestion.max;
+        this.updateCalibrationValue(axis, 'start');
+        this.updateCalibrationValue(axis, 'end');
+
+        if (checkbox) {
+            checkbox.checked = suggestion.scaleType === 'log';
+            this.updateScaleType(axis);
+        }
+
+        const message = `${axis.toUpperCase()} values suggested from ${suggestion.labelCount} tick labels (${suggestion.scaleType}) - check before exporting`;
+        console.log(message, suggestion);
+        this.showTickLabelHint(axis, message);
+    }
+
+    showTickLabelHint(axis, message) {
+        if (!this.tickLabelHint) return;
+
+        this.tickLabelHints = { ...this.tickLabelHints, [axis]: message };
+        this.tickLabelHint.textContent = Object.values(this.tickLabelHints).join('\n');
+        this.tickLabelHint.style.display = 'block';
+    }
+
+    hideTickLabelHint() {
+        this.tickLabelHints = {};
+        if (this.tickLabelHint) {
+            this.tickLabelHint.textContent = '';
+            this.tickLabelHint.style.display = 'none';
+        }
+    }
+
+    checkCalibrationComplete() {
+        const status = this.axisCalibrator.getCalibrationStatus();
+
+        if (status.isCalibrated) {
+            this.calibrationStatus.innerHTML = '<span class="status-text success">✅ Calibration Complete!</span>';
+            this.hideCalibrationPrompt();
+
+            this.exportSection.style.display = 'block';
+            this.updateExportPreview();
+        } else if (this.equalScaleMode) {
             const scaleAxis = this.equalScaleAxis;
             const scaleCalibrated = this.axisCalibrator.isAxisCalibrated(scaleAxis);
             const scaleStatus = scaleCalibrated ? '✅' : '⏳';
@@ -987,6 +2112,13 @@ class UnPlotApp {
         }
     }
 
+    /**
+     * History label for a log scale checkbox that has just been toggled
+     */
+    describeScaleToggle(axis, checkbox) {
+        return `${axis.toUpperCase()} axis ${checkbox.checked ? 'log' : 'linear'}`;
+    }
+
     resetCalibration() {
         this.axisCalibrator.reset();
 
@@ -1000,6 +2132,7 @@ class UnPlotApp {
         this.xMaxInput.value = '';
         this.yMinInput.value = '';
         this.yMaxInput.value = '';
+        this.hideTickLabelHint();
 
         if (this.xLogScaleCheckbox) {
             this.xLogScaleCheckbox.checked = false;
@@ -1034,8 +2167,19 @@ class UnPlotApp {
         if (this.perpDataValueInput)    this.perpDataValueInput.value = '0';
         if (this.perpRefDataValueInput) this.perpRefDataValueInput.value = '';
 
+        // Reset tick mark state
+        if (this.xTickLogScaleCheckbox) this.xTickLogScaleCheckbox.checked = false;
+        if (this.yTickLogScaleCheckbox) this.yTickLogScaleCheckbox.checked = false;
+        if (this.xTickList) this.updateTickList('x');
+        if (this.yTickList) this.updateTickList('y');
+
+        // Reset reference point state
+        if (this.xAffineLogScaleCheckbox) this.xAffineLogScaleCheckbox.checked = false;
+        if (this.yAffineLogScaleCheckbox) this.yAffineLogScaleCheckbox.checked = false;
+        if (this.affinePointList) this.updateAffinePointList();
+
         this.calibrationStatus.innerHTML = '<span class="status-text">Not calibrated</span>';
-        this.exportSection.style.display = 'none';
+        this.exportSection.style.display = this.hasExportableCurves() ? 'block' : 'none';
 
         console.log('Calibration reset');
     }
@@ -1185,6 +2329,587 @@ class UnPlotApp {
         console.log(`View rotated to ${rotation}°`);
     }
 
+    // ── Undo/redo history ──────────────────────────────────────────────────
+
+    recordCommand(command) {
+        this.history.push(command);
+        this.updateHistoryList();
+    }
+
+    /**
+     * Run change, a change to the active calibration, and record it as the
+     * calibration snapshots before and after.  Nothing is recorded if the
+     * calibration is unchanged.
+     */
+    recordCalibrationChange(label, change) {
+        const key = this.activeCalibrationKey;
+        const before = this.getCalibrationSnapshot();
+        change();
+        const after = this.getCalibrationSnapshot();
+
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.recordCommand({
+            label: label,
+            undo: () => this.applyCalibrationSnapshot(key, before),
+            redo: () => this.applyCalibrationSnapshot(key, after)
+        });
+    }
+
+    /**
+     * Put back a recorded calibration: into the calibration panel if its
+     * page or figure is the active one, otherwise into the stored ones
+     */
+    applyCalibrationSnapshot(key, snapshot) {
+        if (key === this.activeCalibrationKey) {
+            // An axis pick in progress belongs to the calibration being replaced
+            this.calibrationMode = false;
+            this.pendingCalibration = null;
+            this.canvas.style.cursor = 'default';
+            if (this.canvasOverlay) this._restoreSelectionMode();
+
+            this.restoreCalibration(snapshot);
+            this.axisCalibrator.setRotation(this.pdfLoader.getRotation());
+        } else {
+            this.calibrations.set(key, snapshot);
+            console.log(`Restored the calibration of ${this.describeCalibrationKey(key)}`);
+        }
+
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+        this.exportSection.style.display =
+            this.hasExportableCurves() || this.axisCalibrator.isCalibrated ? 'block' : 'none';
+    }
+
+    /**
+     * Run change, a change to the labeled curves, and record it as the
+     * lists before and after
+     */
+    recordLabelChange(label, change) {
+        const before = this.copyLabeledCurves(this.labeledCurves);
+        change();
+        const after = this.copyLabeledCurves(this.labeledCurves);
+
+        this.recordCommand({
+            label: label,
+            undo: () => this.applyLabeledCurves(before),
+            redo: () => this.applyLabeledCurves(after)
+        });
+    }
+
+    // Each series is kept with a copy of its fields, so that later edits in
+    // place do not reach the history and undo puts the same objects back
+    copyLabeledCurves(labeledCurves) {
+        return labeledCurves.map(series => ({ series, fields: { ...series, curves: [...series.curves] } }));
+    }
+
+    applyLabeledCurves(copies) {
+        this.labeledCurves = copies.map(({ series, fields }) =>
+            Object.assign(series, fields, { curves: [...fields.curves] }));
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.clearHighlight();
+        }
+        this.exportSection.style.display =
+            this.hasExportableCurves() || this.axisCalibrator.isCalibrated ? 'block' : 'none';
+    }
+
+    getSelectionState() {
+        return {
+            pageNum: this.currentPageNum,
+            curve: this.selectedCurveForLabeling,
+            indices: this.canvasOverlay ? this.canvasOverlay.getSelection().indices : [],
+            styleGroup: this.selectedStyleGroup
+        };
+    }
+
+    /**
+     * Record a change of curve selection from before to the current one
+     */
+    recordSelectionChange(label, before) {
+        const after = this.getSelectionState();
+        if (before.curve === after.curve && before.styleGroup === after.styleGroup &&
+            before.indices.length === after.indices.length &&
+            before.indices.every(index => after.indices.includes(index))) {
+            return;
+        }
+
+        this.recordCommand({
+            label: label,
+            undo: () => this.applySelection(before),
+            redo: () => this.applySelection(after)
+        });
+    }
+
+    /**
+     * Put back a recorded selection; curve indices only mean something on
+     * the page they were selected on
+     */
+    applySelection(selection) {
+        if (!this.canvasOverlay || selection.pageNum !== this.currentPageNum) {
+            console.log(`Selection on page ${selection.pageNum} is not restored on page ${this.currentPageNum}`);
+            return;
+        }
+
+        this.selectedCurveForLabeling = selection.curve;
+        this.selectedStyleGroup = this.styleGroups.includes(selection.styleGroup) ? selection.styleGroup : null;
+        this.canvasOverlay.setSelection(selection);
+        this.updateStyleGroupHighlight();
+    }
+
+    undo() {
+        const command = this.history.undo();
+        if (command) {
+            console.log(`Undo: ${command.label}`);
+        }
+        this.updateHistoryList();
+    }
+
+    redo() {
+        const command = this.history.redo();
+        if (command) {
+            console.log(`Redo: ${command.label}`);
+        }
+        this.updateHistoryList();
+    }
+
+    /**
+     * Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on macOS)
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        // Text fields keep their own undo
+        const target = e.target;
+        if (target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(target.type))) {
+            return;
+        }
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    updateHistoryList() {
+        const entries = this.history.getEntries();
+        this.undoBtn.disabled = !this.history.canUndo();
+        this.redoBtn.disabled = !this.history.canRedo();
+
+        if (entries.length === 0) {
+            this.historyList.innerHTML = '<li class="empty-message">Nothing to undo yet</li>';
+            return;
+        }
+
+        // Clicking an entry undoes or redoes up to it; the first item
+        // undoes everything
+        const items = [{ label: 'Start', done: true }, ...entries];
+        const current = entries.filter(entry => entry.done).length;
+
+        this.historyList.innerHTML = '';
+        items.forEach((entry, position) => {
+            const li = document.createElement('li');
+            li.className = 'history-item';
+            li.classList.toggle('undone', !entry.done);
+            li.classList.toggle('current', position === current);
+            li.textContent = entry.label;
+            li.addEventListener('click', () => {
+                this.history.goTo(position);
+                this.updateHistoryList();
+            });
+            this.historyList.appendChild(li);
+        });
+
+        const currentItem = this.historyList.children[current];
+        if (currentItem && currentItem.scrollIntoView) {
+            currentItem.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // ── End undo/redo history ──────────────────────────────────────────────
+
+    // ── Per-page calibration ───────────────────────────────────────────────
+
+    /**
+     * Key of the calibration that applies to curves selected right now
+     */
+    getCalibrationKey(pageNum = this.currentPageNum) {
+        if (this.activeFigure && this.activeFigure.pageNum === pageNum) {
+            return `page-${pageNum}/fig-${this.activeFigure.id}`;
+        }
+        return `page-${pageNum}`;
+    }
+
+    describeCalibrationKey(key) {
+        const match = /^page-(\d+)(?:\/fig-(\d+))?$/.exec(key || '');
+        if (!match) return 'unknown page';
+
+        if (match[2]) {
+            const figure = this.figureRegions.find(f => f.id === parseInt(match[2], 10));
+            return `${figure ? figure.name : 'figure'} (page ${match[1]})`;
+        }
+        return `page ${match[1]}`;
+    }
+
+    getCalibrationSnapshot() {
+        return {
+            mode: this.getCalibrationModeName(),
+            state: this.axisCalibrator.getState(),
+            equalScale: {
+                axis: this.equalScaleAxis,
+                originMode: this.perpOriginMode,
+                perpDataValue: this.perpDataValueInput.value,
+                perpRefDataValue: this.perpRefDataValueInput.value,
+                perpRefPoints: this.perpRefCurve ? this.perpRefCurve.points : null
+            }
+        };
+    }
+
+    /**
+     * Stash the active calibration and bring in the one for key, or a fresh
+     * calibration if that page has none yet
+     */
+    switchCalibration(key) {
+        if (key === this.activeCalibrationKey) return;
+
+        if (this.activeCalibrationKey !== null) {
+            this.calibrations.set(this.activeCalibrationKey, this.getCalibrationSnapshot());
+        }
+
+        // The stored snapshot is the source of truth while the key is active
+        this.axisCalibrator = new AxisCalibrator();
+        this.activeCalibrationKey = key;
+
+        const snapshot = this.calibrations.get(key);
+        if (snapshot) {
+            this.restoreCalibration(snapshot);
+        } else {
+            this.resetCalibration();
+        }
+        this.axisCalibrator.setRotation(this.pdfLoader.getRotation());
+        this.calibrations.delete(key);
+
+        if (this.calibrationScope) {
+            this.calibrationScope.textContent = `(${this.describeCalibrationKey(key)})`;
+        }
+        this.checkCalibrationComplete();
+        this.updateCurveBrowser();
+
+        console.log(`Active calibration: ${key}${snapshot ? ' (restored)' : ' (new)'}`);
+    }
+
+    getCalibratorFor(labeledCurve) {
+        const key = labeledCurve.calibrationKey;
+        if (key === this.activeCalibrationKey) {
+            return this.axisCalibrator;
+        }
+
+        const snapshot = this.calibrations.get(key);
+        if (!snapshot) {
+            return null;
+        }
+
+        if (!this.calibratorCache.has(snapshot)) {
+            const calibrator = new AxisCalibrator();
+            calibrator.setState(snapshot.state);
+            this.calibratorCache.set(snapshot, calibrator);
+        }
+        return this.calibratorCache.get(snapshot);
+    }
+
+    hasExportableCurves() {
+        return this.labeledCurves.some(lc => {
+            const calibrator = this.getCalibratorFor(lc);
+            return calibrator && calibrator.isCalibrated;
+        });
+    }
+
+    // ── End per-page calibration ───────────────────────────────────────────
+
+    // ── Figure regions ─────────────────────────────────────────────────────
+
+    getPageFigures(pageNum = this.currentPageNum) {
+        return this.figureRegions.filter(f => f.pageNum === pageNum);
+    }
+
+    startFigureRegion() {
+        if (!this.canvasOverlay) return;
+
+        this.calibrationMode = false;
+        this.pendingCalibration = null;
+        this.canvasOverlay.setRegionDrawMode(true);
+        this.showCalibrationPrompt('Drag a rectangle around the figure');
+    }
+
+    addFigureRegion(rect) {
+        const region = {
+            id: this.nextFigureId++,
+            name: `Figure ${this.getPageFigures().length + 1}`,
+            pageNum: this.currentPageNum,
+            rect: rect
+        };
+        this.figureRegions.push(region);
+        this.hideCalibrationPrompt();
+
+        console.log(`Added ${region.name} on page ${region.pageNum}`, rect);
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.setRegions(this.getPageFigures());
+        }
+        this.selectFigure(region);
+    }
+
+    /**
+     * Make a figure region (or the whole page, for null) the active scope
+     * for hover, selection, calibration and new labeled curves
+     */
+    selectFigure(figure) {
+        this.activeFigure = figure;
+        this.switchCalibration(this.getCalibrationKey());
+
+        this.selectedCurveForLabeling = null;
+        this.clearStyleGroups();
+        if (this.canvasOverlay) {
+            this.canvasOverlay.clearSelection();
+            this.canvasOverlay.clearMultiSelection();
+            this.canvasOverlay.setScopeRegion(figure);
+        }
+
+        this.updateFigureTabs();
+        this.updateCurveBrowser();
+    }
+
+    renameActiveFigure() {
+        const name = this.figureNameInput.value.trim();
+        if (!this.activeFigure || !name) {
+            this.figureNameInput.value = this.activeFigure ? this.activeFigure.name : '';
+            return;
+        }
+
+        this.activeFigure.name = name;
+        this.updateFigureTabs();
+        this.updateCurveBrowser();
+        if (this.canvasOverlay) this.canvasOverlay.redraw();
+    }
+
+    deleteActiveFigure() {
+        const figure = this.activeFigure;
+        if (!figure) return;
+
+        const key = this.getCalibrationKey();
+        const series = this.labeledCurves.filter(lc => lc.calibrationKey === key);
+        if (series.length > 0 &&
+            !confirm(`Delete "${figure.name}" and its ${series.length} labeled ${series.length === 1 ? 'curve' : 'curves'}?`)) {
+            return;
+        }
+
+        this.labeledCurves = this.labeledCurves.filter(lc => lc.calibrationKey !== key);
+        this.figureRegions = this.figureRegions.filter(f => f !== figure);
+
+        // Drop its calibration instead of stashing it on the way out
+        this.calibrations.delete(key);
+        this.activeCalibrationKey = null;
+
+        if (this.canvasOverlay) {
+            this.canvasOverlay.setRegions(this.getPageFigures());
+        }
+        this.selectFigure(null);
+        this.updateExportPreview();
+
+        console.log(`Deleted ${figure.name}`);
+    }
+
+    updateFigureTabs() {
+        this.figureTabs.innerHTML = '';
+
+        const scopes = [null, ...this.getPageFigures()];
+        scopes.forEach(figure => {
+            const tab = document.createElement('button');
+            tab.className = 'figure-tab' + (figure === this.activeFigure ? ' active' : '');
+            tab.textContent = figure ? figure.name : 'Whole page';
+            tab.addEventListener('click', () => this.selectFigure(figure));
+            this.figureTabs.appendChild(tab);
+        });
+
+        this.figureNameInput.style.display = this.activeFigure ? 'block' : 'none';
+        this.figureNameInput.value = this.activeFigure ? this.activeFigure.name : '';
+        this.deleteFigureBtn.style.display = this.activeFigure ? 'inline-flex' : 'none';
+    }
+
+    // ── End figure regions ─────────────────────────────────────────────────
+
+    // ── Project files ──────────────────────────────────────────────────────
+
+    getCalibrationModeName() {
+        if (this.equalScaleMode) return 'equalScale';
+        if (this.tickMode) return 'ticks';
+        if (this.affineMode) return 'affine';
+        return 'independent';
+    }
+
+    saveProject() {
+        if (!this.pdfLoader.pdfDocument) {
+            console.log('Load a PDF before saving a project');
+            return;
+        }
+
+        const project = this.projectManager.createProject({
+            pdfDocument: this.pdfLoader.pdfDocument,
+            fileName: this.pdfFileName,
+            pageNum: this.currentPageNum,
+            rotation: this.pdfLoader.getRotation(),
+            scale: this.pdfLoader.getScale(),
+            calibrations: {
+                ...Object.fromEntries(this.calibrations),
+                [this.activeCalibrationKey]: this.getCalibrationSnapshot()
+            },
+            figureRegions: this.figureRegions,
+            labeledCurves: this.labeledCurves
+        });
+
+        const baseName = (this.pdfFileName || 'unplotter').replace(/\.pdf$/i, '');
+        this.dataExporter.downloadFile(this.projectManager.exportAsJSON(project), `${baseName}.unplotter.json`, 'application/json');
+        console.log(`Saved project with ${this.labeledCurves.length} labeled curves`);
+    }
+
+    async handleProjectUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const project = await this.projectManager.readProjectFile(file);
+            await this.openProject(project);
+            this.fileInfo.textContent = `${this.pdfFileName} (project: ${file.name})`;
+        } catch (error) {
+            console.error(`Error opening project: ${error.message}`, error);
+            this.fileInfo.textContent = `${this.pdfFileName} - could not open project: ${error.message}`;
+        }
+    }
+
+    async openProject(project) {
+        const pdfDocument = this.pdfLoader.pdfDocument;
+        if (!pdfDocument) {
+            throw new Error('Load the PDF for this project first');
+        }
+
+        if (!this.projectManager.matchesDocument(project, pdfDocument)) {
+            const savedName = project.pdf.fileName || 'another PDF';
+            if (!confirm(`This project was saved for "${savedName}", which does not match the loaded PDF. Open it anyway?`)) {
+                return;
+            }
+        }
+
+        // Curves are re-extracted from their pages so indices resolve to current geometry
+        this.labeledCurves = await this.resolveLabeledCurves(project.labeledCurves);
+        this.history.clear();
+        this.updateHistoryList();
+
+        // Calibrations are brought in as the pages are visited
+        this.calibrations = new Map(Object.entries(project.calibrations));
+        this.activeCalibrationKey = null;
+
+        this.figureRegions = project.figureRegions || [];
+        this.nextFigureId = this.figureRegions.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+        this.activeFigure = null;
+
+        // View
+        const view = project.view;
+        this.pdfLoader.setRotation(view.rotation || 0);
+        if (view.scale) {
+            this.pdfLoader.setScale(view.scale);
+            this.zoomLevel.textContent = `${Math.round(view.scale * 100)}%`;
+        }
+        const pageNum = Math.min(Math.max(view.pageNum || 1, 1), this.totalPages);
+        if (this.selectionMode) this.toggleSelectionMode();
+        this.currentPageNum = pageNum;
+        await this.renderCurrentPage();
+        if (this.canvasOverlay) this.canvasOverlay.setRotation(this.pdfLoader.getRotation());
+
+        this.updateCurveBrowser();
+        this.updateExportPreview();
+        this.exportSection.style.display = this.hasExportableCurves() ? 'block' : 'none';
+
+        console.log(`Opened project with ${this.labeledCurves.length} labeled curves`);
+    }
+
+    async resolveLabeledCurves(references) {
+        return this.projectManager.resolveLabeledCurves(
+            references, this.pdfLoader.pdfDocument, new PathExtractor(this.pdfLoader));
+    }
+
+    restoreCalibration(calibration) {
+        const mode = calibration.mode || 'independent';
+        const radios = {
+            independent: this.calModeIndependentRadio,
+            equalScale: this.calModeEqualScaleRadio,
+            ticks: this.calModeTicksRadio,
+            affine: this.calModeAffineRadio
+        };
+        (radios[mode] || this.calModeIndependentRadio).checked = true;
+        this.toggleCalibrationMode(radios[mode] ? mode : 'independent');
+
+        const equalScale = calibration.equalScale || {};
+        if (mode === 'equalScale') {
+            const axis = equalScale.axis === 'y' ? 'y' : 'x';
+            (axis === 'x' ? this.scaleFromXRadio : this.scaleFromYRadio).checked = true;
+            this.updateEqualScaleAxisChoice(axis);
+
+            const originMode = equalScale.originMode === 'select' ? 'select' : 'auto';
+            (originMode === 'auto' ? this.perpOriginAutoRadio : this.perpOriginSelectRadio).checked = true;
+            this.updatePerpOriginMode(originMode);
+        }
+
+        this.axisCalibrator.setState(calibration.state);
+        const status = this.axisCalibrator.getCalibrationStatus();
+        const formatValue = (value) => value !== null && value !== undefined ? value : '';
+        const isLog = (axis) => this.axisCalibrator.getScaleType(axis) === 'log';
+
+        if (mode === 'independent') {
+            this.xMinInput.value = formatValue(status.values.xAxis.min);
+            this.xMaxInput.value = formatValue(status.values.xAxis.max);
+            this.yMinInput.value = formatValue(status.values.yAxis.min);
+            this.yMaxInput.value = formatValue(status.values.yAxis.max);
+            this.xLogScaleCheckbox.checked = isLog('x');
+            this.yLogScaleCheckbox.checked = isLog('y');
+            this.updateCalibrationStatus('x', this.axisCalibrator.hasSegment('x'));
+            this.updateCalibrationStatus('y', this.axisCalibrator.hasSegment('y'));
+        } else if (mode === 'equalScale') {
+            const values = status.values[this.equalScaleAxis + 'Axis'];
+            this.equalScaleMinInput.value = formatValue(values.min);
+            this.equalScaleMaxInput.value = formatValue(values.max);
+            this.perpDataValueInput.value = formatValue(equalScale.perpDataValue);
+            this.perpRefDataValueInput.value = formatValue(equalScale.perpRefDataValue);
+            this.perpRefCurve = equalScale.perpRefPoints ? { points: equalScale.perpRefPoints } : null;
+
+            const hasScale = this.axisCalibrator.hasSegment(this.equalScaleAxis);
+            this.equalScaleAxisStatus.textContent = hasScale ? '✓' : '○';
+            this.equalScaleAxisStatus.style.color = hasScale ? '#4CAF50' : '#999';
+            this.perpRefStatus.textContent = this.perpRefCurve ? '✓' : '○';
+            this.perpRefStatus.style.color = this.perpRefCurve ? '#4CAF50' : '#999';
+        } else if (mode === 'ticks') {
+            this.xTickLogScaleCheckbox.checked = isLog('x');
+            this.yTickLogScaleCheckbox.checked = isLog('y');
+            this.updateTickList('x');
+            this.updateTickList('y');
+        } else if (mode === 'affine') {
+            this.xAffineLogScaleCheckbox.checked = isLog('x');
+            this.yAffineLogScaleCheckbox.checked = isLog('y');
+            this.updateAffinePointList();
+        }
+
+        this.checkCalibrationComplete();
+    }
+
+    // ── End project files ──────────────────────────────────────────────────
+
     updateNavigationButtons() {
         this.prevPageBtn.disabled = this.currentPageNum <= 1;
         this.nextPageBtn.disabled = this.currentPageNum >= this.totalPages;
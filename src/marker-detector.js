@@ -0,0 +1,389 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Largest glyph (bounding box side, in PDF units) taken as a marker
+const MAX_MARKER_SIZE = 15;
+
+// Marker sizes are compared after rounding to this step
+const SIZE_STEP = 0.25;
+
+export class MarkerDetector {
+    constructor() {
+        this.groups = [];
+    }
+
+    /**
+     * Find scatter markers among a page's curves.  Small curves that sit on
+     * top of each other (the two strokes of a cross, or a filled shape and
+     * its outline) are joined into one glyph; glyphs with the same shape,
+     * size and colors are grouped.  Only shapes that repeat are returned,
+     * largest group first:
+     *   { key, shape, width, height, strokeColor, fillColor, markers, curveIndices }
+     * where markers are glyphs ({ curveIndices, bounds, center, errorBars })
+     * and curveIndices index into curves.  Groups whose markers have error
+     * bars also list the bar and cap curves in errorBarIndices.
+     */
+    detect(curves, indices = curves.map((_, i) => i)) {
+        const groups = new Map();
+
+        let glyphs = this.findGlyphs(curves, indices);
+
+        // Bars are looked for among curves that are not part of a marker
+        const inMarker = new Set(glyphs.filter(glyph => glyph.shape !== 'dash').flatMap(glyph => glyph.curveIndices));
+        const errorBars = this.findErrorBars(glyphs, curves, indices.filter(index => !inMarker.has(index)));
+
+        // Short bars and caps on their own look like dash markers
+        const barCurves = new Set(errorBars.flatMap(found => [...found.bars, ...found.caps]));
+        glyphs.forEach((glyph, i) => {
+            glyph.errorBars = errorBars[i].bars;
+            glyph.errorBarCaps = errorBars[i].caps;
+        });
+        glyphs = glyphs.filter(glyph => !glyph.curveIndices.every(index => barCurves.has(index)));
+
+        glyphs.forEach(glyph => {
+            if (!groups.has(glyph.key)) {
+                groups.set(glyph.key, {
+                    key: glyph.key,
+                    shape: glyph.shape,
+                    width: glyph.width,
+                    height: glyph.height,
+                    strokeColor: glyph.strokeColor,
+                    fillColor: glyph.fillColor,
+                    markers: [],
+                    curveIndices: [],
+                    errorBarIndices: []
+                });
+            }
+            const group = groups.get(glyph.key);
+            group.markers.push(glyph);
+            group.curveIndices.push(...glyph.curveIndices);
+            group.errorBarIndices.push(...glyph.errorBars, ...glyph.errorBarCaps);
+        });
+
+        this.groups = [...groups.values()]
+            .filter(group => group.markers.length >= 2)
+            .sort((a, b) => b.markers.length - a.markers.length);
+
+        console.log(`Found ${this.groups.length} marker groups`, this.groups);
+        return this.groups;
+    }
+
+    /**
+     * Marker positions for a set of curves: one point per glyph, at the
+     * center of its bounding box (where plotting programs anchor markers),
+     * in drawing order
+     */
+    getMarkerCenters(curves) {
+        return this.findGlyphs(curves).map(glyph => glyph.center);
+    }
+
+    /**
+     * Join small, overlapping curves into glyphs and describe each one
+     */
+    findGlyphs(curves, indices = curves.map((_, i) => i)) {
+        const items = indices
+            .map(index => ({
+                index,
+                curve: curves[index],
+                kind: this.pieceKind(curves[index]),
+                bounds: this.getBounds(curves[index].points)
+            }))
+            .filter(item => this.sizeOf(item.bounds) <= MAX_MARKER_SIZE);
+
+        // Union-find over items whose union is barely larger than either
+        const parent = items.map((_, i) => i);
+        const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+
+        // Sorting by left edge lets the inner loop stop early
+        const order = items.map((_, i) => i).sort((a, b) => items[a].bounds.minX - items[b].bounds.minX);
+        order.forEach((i, k) => {
+            const a = items[i].bounds;
+            for (let m = k + 1; m < order.length; m++) {
+                const j = order[m];
+                const b = items[j].bounds;
+                if (b.minX > a.maxX + 0.5) break;
+                if (this.belongTogether(items[i], items[j])) {
+                    parent[find(j)] = find(i);
+                }
+            }
+        });
+
+        const clusters = new Map();
+        items.forEach((item, i) => {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(item);
+        });
+
+        return [...clusters.values()]
+            .map(cluster => this.describeGlyph(cluster))
+            .sort((a, b) => a.curveIndices[0] - b.curveIndices[0]);
+    }
+
+    /**
+     * Find the error bars drawn around each glyph: straight, axis-aligned
+     * strokes in the glyph's color that start inside it or pass through its
+     * center, and the caps across their outer ends.  Strokes running from
+     * one marker to another connect the markers and are left out.
+     *
+     * Dash glyphs are taken to be bars rather than markers.  Returns, for
+     * each glyph, { bars, caps } as indices into curves.
+     */
+    findErrorBars(glyphs, curves, indices = curves.map((_, i) => i)) {
+        const targets = glyphs.map(glyph => glyph.shape !== 'dash');
+
+        const lines = indices
+            .filter(index => curves[index].points.length === 2)
+            .map(index => {
+                const [p, q] = curves[index].points;
+                const length = Math.hypot(q.x - p.x, q.y - p.y);
+                const vertical = Math.abs(q.x - p.x) <= 0.01 * length;
+                const horizontal = Math.abs(q.y - p.y) <= 0.01 * length;
+                return { index, p, q, length, vertical, horizontal, color: curves[index].strokeColor };
+            })
+            .filter(line => line.length > 0 && (line.vertical || line.horizontal));
+
+        const sameColor = (a, b) => a && b && a.r === b.r && a.g === b.g && a.b === b.b;
+        const inside = (point, bounds, tol) =>
+            point.x >= bounds.minX - tol && point.x <= bounds.maxX + tol &&
+            point.y >= bounds.minY - tol && point.y <= bounds.maxY + tol;
+
+        return glyphs.map((glyph, g) => {
+            const found = { bars: [], caps: [] };
+            if (!targets[g]) return found;
+
+            const c = glyph.center;
+            const tol = Math.max(0.5, 0.15 * this.sizeOf(glyph.bounds));
+            const colored = glyph.strokeColor || glyph.fillColor;
+
+            const outerEnds = [];
+            lines.forEach(line => {
+                if (colored && !sameColor(line.color, glyph.strokeColor) && !sameColor(line.color, glyph.fillColor)) return;
+
+                const offCenter = line.vertical ? Math.abs(line.p.x - c.x) : Math.abs(line.p.y - c.y);
+                if (offCenter > tol) return;
+
+                const lo = line.vertical ? Math.min(line.p.y, line.q.y) : Math.min(line.p.x, line.q.x);
+                const hi = line.vertical ? Math.max(line.p.y, line.q.y) : Math.max(line.p.x, line.q.x);
+                const along = line.vertical ? c.y : c.x;
+                const ends = [line.p, line.q];
+                const outer = ends.filter(end => !inside(end, glyph.bounds, tol));
+
+                const touches = outer.length < 2 || (lo <= along && hi >= along);
+                if (!touches || outer.length === 0) return;
+
+                const connector = outer.some(end =>
+                    glyphs.some((other, o) => o !== g && targets[o] && inside(end, other.bounds, 0)));
+                if (connector) return;
+
+                found.bars.push(line.index);
+                outer.forEach(end => outerEnds.push({ end, vertical: line.vertical }));
+            });
+
+            // Caps cross a bar at its outer end
+            lines.forEach(line => {
+                if (found.bars.includes(line.index)) return;
+                const mid = { x: (line.p.x + line.q.x) / 2, y: (line.p.y + line.q.y) / 2 };
+                const isCap = outerEnds.some(({ end, vertical }) =>
+                    line.vertical !== vertical && Math.hypot(mid.x - end.x, mid.y - end.y) <= tol);
+                if (isCap) found.caps.push(line.index);
+            });
+
+            return found;
+        });
+    }
+
+    getBounds(points) {
+        // A loop rather than Math.min(...) since data curves can be very long
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(p => {
+            bounds.minX = Math.min(bounds.minX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y);
+            bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.maxY = Math.max(bounds.maxY, p.y);
+        });
+        return bounds;
+    }
+
+    sizeOf(bounds) {
+        return Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    }
+
+    /**
+     * Straight two-point strokes, rectangle edges (which PathExtractor
+     * returns as [a, b, a]) and other outlines are only joined with their
+     * own kind, so an error bar through a marker stays separate from it
+     */
+    pieceKind(curve) {
+        const points = curve.points;
+        if (points.length === 2) return 'stroke';
+        if (points.length === 3 && points[0].x === points[2].x && points[0].y === points[2].y) return 'edge';
+        return 'outline';
+    }
+
+    /**
+     * Two pieces belong to one glyph when they overlap and together are
+     * hardly bigger than the larger piece.  Neighbouring markers that merely
+     * touch stay apart.  Strokes must also be alike and share a midpoint,
+     * as the two bars of a cross or plus do.
+     */
+    belongTogether(itemA, itemB) {
+        const a = itemA.bounds;
+        const b = itemB.bounds;
+        const tol = 0.5;
+        if (itemA.kind !== itemB.kind) {
+            return false;
+        }
+        if (a.minX > b.maxX + tol || b.minX > a.maxX + tol ||
+            a.minY > b.maxY + tol || b.minY > a.maxY + tol) {
+            return false;
+        }
+
+        if (itemA.kind === 'stroke') {
+            const lengthA = this.strokeLength(itemA.curve);
+            const lengthB = this.strokeLength(itemB.curve);
+            const midA = this.midpoint(itemA.curve);
+            const midB = this.midpoint(itemB.curve);
+            if (Math.max(lengthA, lengthB) > 1.25 * Math.min(lengthA, lengthB) + tol ||
+                Math.hypot(midA.x - midB.x, midA.y - midB.y) > tol + 0.1 * Math.max(lengthA, lengthB)) {
+                return false;
+            }
+        }
+
+        const union = {
+            minX: Math.min(a.minX, b.minX),
+            minY: Math.min(a.minY, b.minY),
+            maxX: Math.max(a.maxX, b.maxX),
+            maxY: Math.max(a.maxY, b.maxY)
+        };
+        return this.sizeOf(union) <= 1.2 * Math.max(this.sizeOf(a), this.sizeOf(b)) + tol;
+    }
+
+    strokeLength(curve) {
+        const [p, q] = curve.points;
+        return Math.hypot(q.x - p.x, q.y - p.y);
+    }
+
+    midpoint(curve) {
+        const [p, q] = curve.points;
+        return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    }
+
+    describeGlyph(items) {
+        const bounds = items.reduce((acc, item) => ({
+            minX: Math.min(acc.minX, item.bounds.minX),
+            minY: Math.min(acc.minY, item.bounds.minY),
+            maxX: Math.max(acc.maxX, item.bounds.maxX),
+            maxY: Math.max(acc.maxY, item.bounds.maxY)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+        const width = Math.round((bounds.maxX - bounds.minX) / SIZE_STEP) * SIZE_STEP;
+        const height = Math.round((bounds.maxY - bounds.minY) / SIZE_STEP) * SIZE_STEP;
+        const shape = this.classifyShape(items.map(item => item.curve), bounds);
+
+        const stroked = items.find(item => item.curve.strokeColor);
+        const filled = items.find(item => item.curve.fillColor);
+        const color = (c) => c ? `${c.r},${c.g},${c.b}` : '-';
+
+        const glyph = {
+            curveIndices: items.map(item => item.index).sort((a, b) => a - b),
+            bounds: bounds,
+            center: { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 },
+            shape: shape,
+            width: width,
+            height: height,
+            strokeColor: stroked ? stroked.curve.strokeColor : null,
+            fillColor: filled ? filled.curve.fillColor : null
+        };
+        glyph.key = `${shape}|${width}x${height}|${color(glyph.strokeColor)}|${color(glyph.fillColor)}`;
+
+        return glyph;
+    }
+
+    /**
+     * Name a glyph's shape: dot, circle, square, diamond, triangle-up/down/
+     * left/right, plus, cross, dash, star or polygon-N; anything else gets a
+     * name from its piece and vertex counts, which is still enough to tell
+     * repeated glyphs apart
+     */
+    classifyShape(curves, bounds) {
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const size = Math.max(width, height);
+        const center = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+        const tol = Math.max(0.05, 0.05 * size);
+        const same = (p, q) => Math.abs(p.x - q.x) <= tol && Math.abs(p.y - q.y) <= tol;
+
+        if (size <= 0.5) {
+            return 'dot';
+        }
+
+        // Rectangles come out of PathExtractor edge by edge as [a, b, a]
+        const isEdge = (c) => c.points.length === 3 && same(c.points[0], c.points[2]);
+        if (curves.length % 4 === 0 && curves.every(isEdge)) {
+            return 'square';
+        }
+
+        if (curves.length === 2 && curves.every(c => c.points.length === 2)) {
+            const diagonal = curves.every(c => {
+                const [p, q] = c.points;
+                return Math.abs(p.x - q.x) > tol && Math.abs(p.y - q.y) > tol;
+            });
+            return diagonal ? 'cross' : 'plus';
+        }
+
+        if (curves.length === 1 && curves[0].points.length === 2) {
+            return 'dash';
+        }
+
+        // Closed outlines: count distinct vertices
+        const outline = curves.find(c => c.points.length > 3 && same(c.points[0], c.points[c.points.length - 1]));
+        if (!outline) {
+            const vertices = curves.reduce((sum, c) => sum + c.points.length, 0);
+            return `glyph-${curves.length}-${vertices}`;
+        }
+
+        const coincident = (p, q) => Math.hypot(p.x - q.x, p.y - q.y) <= 1e-3 * size;
+        const vertices = outline.points.slice(0, -1)
+            .filter((p, i, pts) => i === 0 || !coincident(p, pts[i - 1]));
+        const radii = vertices.map(p => Math.hypot(p.x - center.x, p.y - center.y));
+        const meanRadius = radii.reduce((a, b) => a + b, 0) / radii.length;
+        const spread = Math.sqrt(radii.reduce((sum, r) => sum + (r - meanRadius) ** 2, 0) / radii.length);
+
+        if (vertices.length >= 8 && spread <= 0.1 * meanRadius) {
+            return 'circle';
+        }
+
+        if (vertices.length === 3) {
+            // The apex is on the opposite side of the bounding box center
+            // from the vertex centroid
+            const cx = vertices.reduce((sum, p) => sum + p.x, 0) / 3 - center.x;
+            const cy = vertices.reduce((sum, p) => sum + p.y, 0) / 3 - center.y;
+            if (Math.abs(cy) >= Math.abs(cx)) {
+                return cy < 0 ? 'triangle-up' : 'triangle-down';
+            }
+            return cx < 0 ? 'triangle-right' : 'triangle-left';
+        }
+
+        if (vertices.length === 4) {
+            const onCorners = vertices.every(p =>
+                (Math.abs(p.x - bounds.minX) <= tol || Math.abs(p.x - bounds.maxX) <= tol) &&
+                (Math.abs(p.y - bounds.minY) <= tol || Math.abs(p.y - bounds.maxY) <= tol));
+            return onCorners ? 'square' : 'diamond';
+        }
+
+        if (vertices.length === 10) {
+            return 'star';
+        }
+
+        return `polygon-${vertices.length}`;
+    }
+
+    getGroups() {
+        return this.groups;
+    }
+}
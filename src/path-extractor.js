@@ -5,6 +5,13 @@
  * See LICENSE file in the project root for full license information.
  */
 
+// PDF line cap / join codes, named as in the canvas API
+const LINE_CAPS = ['butt', 'round', 'square'];
+const LINE_JOINS = ['miter', 'round', 'bevel'];
+
+// Distance (page units) within which a point on a clip boundary counts as inside
+const CLIP_TOLERANCE = 1e-3;
+
 export class PathExtractor {
     constructor(pdfLoader) {
         this.pdfLoader = pdfLoader;
@@ -13,6 +20,20 @@ export class PathExtractor {
         this.transformStack = [];
         this.currentTransform = [1, 0, 0, 1, 0, 0]; // Identity matrix
 
+        // Graphics state tracked alongside the CTM (colors are {r, g, b} in 0-255)
+        this.graphicsStateStack = [];
+        this.graphicsState = this.getDefaultGraphicsState();
+
+        // BBox announced by beginGroup for the form XObject that follows it
+        this.pendingFormBBox = null;
+
+        // Clip rule ('nonzero' / 'evenodd') waiting for the next painting op
+        this.pendingClip = null;
+
+        // getCurves() results, rebuilt after each extraction
+        this.curvesCache = null;
+        this.clippedSegments = [];
+
         // this.iop = 0;
     }
 
@@ -24,6 +45,12 @@ export class PathExtractor {
         this.currentPath = null;
         this.transformStack = [];
         this.currentTransform = [1, 0, 0, 1, 0, 0]; // Reset to identity
+        this.graphicsStateStack = [];
+        this.graphicsState = this.getDefaultGraphicsState();
+        this.pendingFormBBox = null;
+        this.pendingClip = null;
+        this.curvesCache = null;
+        this.clippedSegments = [];
 
         try {
             // Get the operator list - this contains all drawing commands
@@ -81,6 +108,163 @@ export class PathExtractor {
         ];
     }
 
+    /**
+     * Transform a [x0, y0, x1, y1] rectangle into a page-space polygon.
+     * The result is a parallelogram when the transform rotates or shears.
+     */
+    transformRect(rect, transform) {
+        const [x0, y0, x1, y1] = rect;
+        return [
+            this.applyTransform(x0, y0, transform),
+            this.applyTransform(x1, y0, transform),
+            this.applyTransform(x1, y1, transform),
+            this.applyTransform(x0, y1, transform)
+        ];
+    }
+
+    /**
+     * Initial graphics state per the PDF spec: black stroke and fill,
+     * 1 unit solid line with butt caps and miter joins.  formBBox is the
+     * page-space BBox polygon of the innermost enclosing Form XObject.
+     */
+    getDefaultGraphicsState() {
+        return {
+            strokeColor: { r: 0, g: 0, b: 0 },
+            fillColor: { r: 0, g: 0, b: 0 },
+            lineWidth: 1,
+            dashArray: [],
+            dashPhase: 0,
+            lineCap: 0,
+            lineJoin: 0,
+            formBBox: null,
+            clipRegion: null
+        };
+    }
+
+    saveGraphicsState() {
+        this.transformStack.push([...this.currentTransform]);
+        this.graphicsStateStack.push({ ...this.graphicsState });
+    }
+
+    restoreGraphicsState() {
+        if (this.transformStack.length > 0) {
+            this.currentTransform = this.transformStack.pop();
+        }
+        if (this.graphicsStateStack.length > 0) {
+            this.graphicsState = this.graphicsStateStack.pop();
+        }
+    }
+
+    /**
+     * Enter a Form XObject: like the canvas renderer, save the state and
+     * concatenate the form /Matrix so its contents land in page coordinates.
+     * pdf.js moves the /BBox onto beginGroup for transparency-group forms.
+     */
+    beginFormXObject(matrix, bbox) {
+        this.saveGraphicsState();
+
+        if (matrix && matrix.length === 6) {
+            this.currentTransform = this.multiplyTransforms(this.currentTransform, Array.from(matrix));
+        }
+
+        const formBBox = bbox || this.pendingFormBBox;
+        this.pendingFormBBox = null;
+        if (formBBox && formBBox.length === 4) {
+            this.graphicsState.formBBox = this.transformRect(Array.from(formBBox), this.currentTransform);
+            this.intersectClip([this.graphicsState.formBBox], 'nonzero');
+        }
+    }
+
+    /**
+     * Uniform scale factor of a transformation matrix, used to convert
+     * user-space lengths (line width, dash lengths) into page units
+     */
+    getTransformScale(transform) {
+        const [a, b, c, d] = transform;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    /**
+     * Apply the line-style entries of an ExtGState dictionary (setGState)
+     */
+    applyExtGState(entries) {
+        if (!Array.isArray(entries)) {
+            return;
+        }
+
+        for (const [key, value] of entries) {
+            switch (key) {
+                case 'LW':
+                    this.graphicsState.lineWidth = value;
+                    break;
+                case 'LC':
+                    this.graphicsState.lineCap = value;
+                    break;
+                case 'LJ':
+                    this.graphicsState.lineJoin = value;
+                    break;
+                case 'D':
+                    this.graphicsState.dashArray = Array.from(value[0] || []);
+                    this.graphicsState.dashPhase = value[1] || 0;
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Resolve color operator arguments to {r, g, b} in 0-255.
+     *
+     * pdf.js normally folds every color operator into setStrokeRGBColor /
+     * setFillRGBColor with 0-255 components before it reaches us.  The raw
+     * Gray/CMYK/ColorN forms carry PDF-native 0-1 components and are handled
+     * in case they come through unconverted.  Returns null for patterns and
+     * other colors that cannot be resolved to a single RGB value.
+     */
+    resolveColor(kind, args) {
+        if (!args) {
+            return null;
+        }
+
+        const c = Array.from(args);
+        const to255 = (v) => Math.round(Math.max(0, Math.min(1, v)) * 255);
+
+        switch (kind) {
+            case 'rgb':
+                // pdf.js hands over bytes; newer builds may use a hex string
+                if (typeof c[0] === 'string' && /^#[0-9a-f]{6}$/i.test(c[0])) {
+                    return {
+                        r: parseInt(c[0].slice(1, 3), 16),
+                        g: parseInt(c[0].slice(3, 5), 16),
+                        b: parseInt(c[0].slice(5, 7), 16)
+                    };
+                }
+                if (c.length < 3) return null;
+                return { r: Math.round(c[0]), g: Math.round(c[1]), b: Math.round(c[2]) };
+
+            case 'gray':
+                return { r: to255(c[0]), g: to255(c[0]), b: to255(c[0]) };
+
+            case 'cmyk': {
+                const [cy, m, y, k] = c;
+                return {
+                    r: to255((1 - cy) * (1 - k)),
+                    g: to255((1 - m) * (1 - k)),
+                    b: to255((1 - y) * (1 - k))
+                };
+            }
+
+            case 'n':
+                // Pattern colors carry a name rather than numeric components
+                if (c.some(v => typeof v !== 'number')) return null;
+                if (c.length === 1) return this.resolveColor('gray', c);
+                if (c.length === 3) return { r: to255(c[0]), g: to255(c[1]), b: to255(c[2]) };
+                if (c.length === 4) return this.resolveColor('cmyk', c);
+                return null;
+        }
+
+        return null;
+    }
+
     opName(o) {
 
         const OPS = this.pdfLoader.OPS;
@@ -376,13 +560,11 @@ export class PathExtractor {
         switch (fn) {
             // Graphics state operations
             case OPS.save:
-                this.transformStack.push([...this.currentTransform]);
+                this.saveGraphicsState();
                 break;
 
             case OPS.restore:
-                if (this.transformStack.length > 0) {
-                    this.currentTransform = this.transformStack.pop();
-                }
+                this.restoreGraphicsState();
                 break;
 
             case OPS.transform:
@@ -390,6 +572,84 @@ export class PathExtractor {
                 console.log('Transform applied:', args, '-> Current:', this.currentTransform);
                 break;
 
+            // Form XObjects - contents are inlined between begin/end
+            case OPS.beginGroup:
+                this.pendingFormBBox = args[0] ? args[0].bbox : null;
+                break;
+
+            case OPS.paintFormXObjectBegin:
+                this.beginFormXObject(args[0], args[1]);
+                break;
+
+            case OPS.paintFormXObjectEnd:
+                this.restoreGraphicsState();
+                break;
+
+            // Line style operations
+            case OPS.setLineWidth:
+                this.graphicsState.lineWidth = args[0];
+                break;
+
+            case OPS.setDash:
+                this.graphicsState.dashArray = Array.from(args[0] || []);
+                this.graphicsState.dashPhase = args[1] || 0;
+                break;
+
+            case OPS.setLineCap:
+                this.graphicsState.lineCap = args[0];
+                break;
+
+            case OPS.setLineJoin:
+                this.graphicsState.lineJoin = args[0];
+                break;
+
+            case OPS.setGState:
+                this.applyExtGState(args[0]);
+                break;
+
+            // Color operations
+            case OPS.setStrokeRGBColor:
+                this.graphicsState.strokeColor = this.resolveColor('rgb', args);
+                break;
+
+            case OPS.setFillRGBColor:
+                this.graphicsState.fillColor = this.resolveColor('rgb', args);
+                break;
+
+            case OPS.setStrokeGray:
+                this.graphicsState.strokeColor = this.resolveColor('gray', args);
+                break;
+
+            case OPS.setFillGray:
+                this.graphicsState.fillColor = this.resolveColor('gray', args);
+                break;
+
+            case OPS.setStrokeCMYKColor:
+                this.graphicsState.strokeColor = this.resolveColor('cmyk', args);
+                break;
+
+            case OPS.setFillCMYKColor:
+                this.graphicsState.fillColor = this.resolveColor('cmyk', args);
+                break;
+
+            case OPS.setStrokeColor:
+            case OPS.setStrokeColorN:
+                this.graphicsState.strokeColor = this.resolveColor('n', args);
+                break;
+
+            case OPS.setFillColor:
+            case OPS.setFillColorN:
+                this.graphicsState.fillColor = this.resolveColor('n', args);
+                break;
+
+            case OPS.setStrokeTransparent:
+                this.graphicsState.strokeColor = null;
+                break;
+
+            case OPS.setFillTransparent:
+                this.graphicsState.fillColor = null;
+                break;
+
             // Path construction operations - APPLY CTM
             case OPS.moveTo:
                 const p0 = this.applyTransform(args[0], args[1], this.currentTransform);
@@ -425,28 +685,7 @@ export class PathExtractor {
                 break;
 
             case OPS.rectangle:
-                const rx = args[0];
-                const ry = args[1];
-                const rw = args[2];
-                const rh = args[3];
-
-                const rp1 = this.applyTransform(rx, ry, this.currentTransform);
-                const rp2 = this.applyTransform(rx + rw, ry, this.currentTransform);
-                const rp3 = this.applyTransform(rx + rw, ry + rh, this.currentTransform);
-                const rp4 = this.applyTransform(rx, ry + rh, this.currentTransform);
-
-                this.addCommand('M', rp1.x, rp1.y);
-                this.addCommand('L', rp2.x, rp2.y);
-                this.addCommand('Z');
-                this.addCommand('M', rp2.x, rp2.y);
-                this.addCommand('L', rp3.x, rp3.y);
-                this.addCommand('Z');
-                this.addCommand('M', rp3.x, rp3.y);
-                this.addCommand('L', rp4.x, rp4.y);
-                this.addCommand('Z');
-                this.addCommand('M', rp4.x, rp4.y);
-                this.addCommand('L', rp1.x, rp1.y);
-                this.addCommand('Z');
+                this.addRectangle(args[0], args[1], args[2], args[3]);
                 break;
 
             case OPS.stroke:
@@ -456,9 +695,27 @@ export class PathExtractor {
             case OPS.eoFillStroke:
                 if (this.currentPath && this.currentPath.commands.length > 0) {
                     this.currentPath.operation = this.getOperationName(fn);
+                    this.applyPaintStyle(this.currentPath);
                     this.paths.push(this.currentPath);
-                    this.currentPath = null;
                 }
+                // A pending clip takes effect after the path is painted
+                this.applyPendingClip();
+                this.currentPath = null;
+                break;
+
+            // Clipping - W / W* mark the current path as the new clip, which
+            // is intersected with the existing clip at the next painting op
+            case OPS.clip:
+                this.pendingClip = 'nonzero';
+                break;
+
+            case OPS.eoClip:
+                this.pendingClip = 'evenodd';
+                break;
+
+            case OPS.endPath:
+                this.applyPendingClip();
+                this.currentPath = null;
                 break;
 
             case OPS.constructPath:
@@ -486,6 +743,91 @@ export class PathExtractor {
         });
     }
 
+    /**
+     * Add a rectangle (re) as a single 'R' command holding its four
+     * transformed corners, so it can be kept whole for clipping
+     */
+    addRectangle(rx, ry, rw, rh) {
+        const rp1 = this.applyTransform(rx, ry, this.currentTransform);
+        const rp2 = this.applyTransform(rx + rw, ry, this.currentTransform);
+        const rp3 = this.applyTransform(rx + rw, ry + rh, this.currentTransform);
+        const rp4 = this.applyTransform(rx, ry + rh, this.currentTransform);
+
+        this.addCommand('R', rp1.x, rp1.y, rp2.x, rp2.y, rp3.x, rp3.y, rp4.x, rp4.y);
+    }
+
+    /**
+     * Intersect the clip region with the current path if a clip operator
+     * is pending.  The clip region is a list of entries that must all
+     * contain a point for it to be visible; it is replaced rather than
+     * mutated so saved graphics states keep their own copy.
+     */
+    applyPendingClip() {
+        if (!this.pendingClip) {
+            return;
+        }
+
+        const rule = this.pendingClip;
+        this.pendingClip = null;
+
+        if (!this.currentPath) {
+            return;
+        }
+
+        const polygons = this._pathToSubpaths(this.currentPath)
+            .map(subpath => subpath.points)
+            .filter(points => points.length >= 3);
+
+        this.intersectClip(polygons, rule);
+    }
+
+    intersectClip(polygons, rule) {
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            for (const p of polygon) {
+                if (p.x < minX) minX = p.x;
+                if (p.x > maxX) maxX = p.x;
+                if (p.y < minY) minY = p.y;
+                if (p.y > maxY) maxY = p.y;
+            }
+        }
+
+        const entry = { polygons, rule, bounds: { minX, minY, maxX, maxY } };
+        this.graphicsState.clipRegion = [...(this.graphicsState.clipRegion || []), entry];
+    }
+
+    /**
+     * Record the graphics state in effect when a path is painted.
+     * Only the colors actually used by the paint operation are kept, and
+     * the stroke style is null for paths that are not stroked.
+     */
+    applyPaintStyle(path) {
+        const op = path.operation;
+        const strokes = op === 'stroke' || op === 'fillStroke' || op === 'eoFillStroke';
+        const fills = op === 'fill' || op === 'eoFill' || op === 'fillStroke' || op === 'eoFillStroke';
+        const gs = this.graphicsState;
+
+        path.strokeColor = strokes && gs.strokeColor ? { ...gs.strokeColor } : null;
+        path.fillColor = fills && gs.fillColor ? { ...gs.fillColor } : null;
+        path.formBBox = gs.formBBox;
+        path.clipRegion = gs.clipRegion;
+
+        if (strokes) {
+            // Line width and dash lengths are in user space at paint time
+            const scale = this.getTransformScale(this.currentTransform);
+            path.strokeStyle = {
+                lineWidth: gs.lineWidth * scale,
+                dashArray: gs.dashArray.map(d => d * scale),
+                dashPhase: gs.dashPhase * scale,
+                lineCap: LINE_CAPS[gs.lineCap] || 'butt',
+                lineJoin: LINE_JOINS[gs.lineJoin] || 'miter'
+            };
+        } else {
+            path.strokeStyle = null;
+        }
+    }
+
     processConstructPath(args) {
         const ops = args[0];
         const points = args[1];
@@ -530,23 +872,7 @@ export class PathExtractor {
                         const rw = points[pointIndex++];
                         const rh = points[pointIndex++];
 
-                        const rp1 = this.applyTransform(rx, ry, this.currentTransform);
-                        const rp2 = this.applyTransform(rx + rw, ry, this.currentTransform);
-                        const rp3 = this.applyTransform(rx + rw, ry + rh, this.currentTransform);
-                        const rp4 = this.applyTransform(rx, ry + rh, this.currentTransform);
-
-                        this.addCommand('M', rp1.x, rp1.y);
-                        this.addCommand('L', rp2.x, rp2.y);
-                        this.addCommand('Z');
-                        this.addCommand('M', rp2.x, rp2.y);
-                        this.addCommand('L', rp3.x, rp3.y);
-                        this.addCommand('Z');
-                        this.addCommand('M', rp3.x, rp3.y);
-                        this.addCommand('L', rp4.x, rp4.y);
-                        this.addCommand('Z');
-                        this.addCommand('M', rp4.x, rp4.y);
-                        this.addCommand('L', rp1.x, rp1.y);
-                        this.addCommand('Z');
+                        this.addRectangle(rx, ry, rw, rh);
                         break;
                     }
 
@@ -571,7 +897,10 @@ export class PathExtractor {
 
     getTotalPoints() {
         return this.paths.reduce((total, path) => {
-            return total + path.commands.filter(cmd => cmd.type !== 'Z').length;
+            return total + path.commands.reduce((n, cmd) => {
+                if (cmd.type === 'Z') return n;
+                return n + (cmd.type === 'R' ? 4 : 1);
+            }, 0);
         }, 0);
     }
 
@@ -672,122 +1001,397 @@ export class PathExtractor {
     }
 
     /**
-     * Get curves as polylines (connected line segments)
-     * Each curve is represented as an array of points
+     * Key identifying a curve's visual style: paint operation, colors, line
+     * width and dash pattern.  Dash phase is left out on purpose since the
+     * segments of one dashed series usually start at different phases.
      */
-    getCurves() {
-        const curves = [];
+    getStyleKey(curve) {
+        const color = (c) => c ? `${c.r},${c.g},${c.b}` : '-';
+        const style = curve.strokeStyle;
+        const stroke = style
+            ? `${style.lineWidth.toFixed(2)}/${style.dashArray.map(d => d.toFixed(2)).join(',')}`
+            : '-';
+
+        return `${curve.operation}|${color(curve.strokeColor)}|${color(curve.fillColor)}|${stroke}`;
+    }
 
+    /**
+     * Cluster curves by matching visual style into candidate series.
+     * Returns groups sorted largest first; curveIndices index into getCurves().
+     */
+    groupCurvesByStyle(curves = this.getCurves()) {
+        const groups = new Map();
+
+        curves.forEach((curve, index) => {
+            const key = this.getStyleKey(curve);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key: key,
+                    operation: curve.operation,
+                    strokeColor: curve.strokeColor,
+                    fillColor: curve.fillColor,
+                    strokeStyle: curve.strokeStyle,
+                    curveIndices: []
+                });
+            }
+            groups.get(key).curveIndices.push(index);
+        });
+
+        return [...groups.values()].sort((a, b) => b.curveIndices.length - a.curveIndices.length);
+    }
+
+    /**
+     * Flatten a path's commands into subpath polylines, tessellating
+     * Bézier segments.  Rectangles come back whole with isRect set.
+     */
+    _pathToSubpaths(path) {
         // Tune these as needed
         const CURVE_TOLERANCE = 0.01; // smaller => more points, more accurate
         const CURVE_MAX_DEPTH = 10;   // recursion limit / max subdivisions
 
-        for (let pathIndex = 0; pathIndex < this.paths.length; pathIndex++) {
-            const path = this.paths[pathIndex];
-            const polyline = [];
-            let currentPos = { x: 0, y: 0 };
+        const subpaths = [];
+        let polyline = [];
+        let currentPos = { x: 0, y: 0 };
 
-            for (let cmd of path.commands) {
-                switch (cmd.type) {
-                    case 'M':
-                        // Start of a new polyline
-                        if (polyline.length > 0) {
-                            // Save previous polyline if it exists
-                            curves.push({
-                                points: [...polyline],
-                                operation: path.operation,
-                                pathIndex: pathIndex
-                            });
-                            polyline.length = 0;
-                        }
-                        currentPos = { x: cmd.coords[0], y: cmd.coords[1] };
-                        polyline.push({ ...currentPos });
-                        break;
+        const flush = () => {
+            if (polyline.length > 0) {
+                subpaths.push({ points: polyline, isRect: false });
+            }
+            polyline = [];
+        };
 
-                    case 'L':
-                        currentPos = { x: cmd.coords[0], y: cmd.coords[1] };
+        for (let cmd of path.commands) {
+            switch (cmd.type) {
+                case 'M':
+                    // Start of a new polyline
+                    flush();
+                    currentPos = { x: cmd.coords[0], y: cmd.coords[1] };
+                    polyline.push({ ...currentPos });
+                    break;
+
+                case 'L':
+                    if (polyline.length === 0) {
                         polyline.push({ ...currentPos });
-                        break;
+                    }
+                    currentPos = { x: cmd.coords[0], y: cmd.coords[1] };
+                    polyline.push({ ...currentPos });
+                    break;
+
+                case 'Z':
+                    // Close the path - add first point again if needed
+                    if (polyline.length > 0) {
+                        const first = polyline[0];
+                        const last = polyline[polyline.length - 1];
+                        if (first.x !== last.x || first.y !== last.y) {
+                            polyline.push({ ...first });
+                        }
+                    }
+                    break;
+
+                case 'R': {
+                    flush();
+                    const c = cmd.coords;
+                    const corners = [
+                        { x: c[0], y: c[1] },
+                        { x: c[2], y: c[3] },
+                        { x: c[4], y: c[5] },
+                        { x: c[6], y: c[7] }
+                    ];
+                    subpaths.push({ points: [...corners, { ...corners[0] }], isRect: true });
+                    currentPos = { ...corners[0] };
+                    break;
+                }
+
+                case 'C':
+                case 'V':
+                case 'Y': {
+                    const coords = cmd.coords;
+                    const p0 = { ...currentPos };
+                    let p1, p2, p3;
+
+                    switch (cmd.type) {
+                        case 'C':
+                            // (x1 y1 x2 y2 x3 y3)
+                            p1 = { x: coords[0], y: coords[1] };
+                            p2 = { x: coords[2], y: coords[3] };
+                            p3 = { x: coords[4], y: coords[5] };
+                            break;
+
+                        case 'V':
+                            // PDF 'v': first control point is current point
+                            // (x2 y2 x3 y3)
+                            p1 = { ...currentPos };
+                            p2 = { x: coords[0], y: coords[1] };
+                            p3 = { x: coords[2], y: coords[3] };
+                            break;
+
+                        case 'Y':
+                            // PDF 'y': second control point is endpoint
+                            // (x1 y1 x3 y3)
+                            p1 = { x: coords[0], y: coords[1] };
+                            p3 = { x: coords[2], y: coords[3] };
+                            p2 = { ...p3 };
+                            break;
+
+                        default:
+                            throw new Error(`Unsupported curve type: ${cmd.type}`);
+                    }
+
+                    const curvePoints = this._tessellateCubicBezier(
+                        p0, p1, p2, p3,
+                        CURVE_TOLERANCE,
+                        CURVE_MAX_DEPTH
+                    );
 
-                    case 'Z':
-                        // Close the path - add first point again if needed
+                    for (let i = 0; i < curvePoints.length; i++) {
+                        const pt = curvePoints[i];
                         if (polyline.length > 0) {
-                            const first = polyline[0];
                             const last = polyline[polyline.length - 1];
-                            if (first.x !== last.x || first.y !== last.y) {
-                                polyline.push({ ...first });
+                            if (last.x === pt.x && last.y === pt.y) {
+                                continue;
                             }
                         }
-                        break;
+                        polyline.push({ ...pt });
+                    }
 
-                    case 'C':
-                    case 'V':
-                    case 'Y': {
-                        const coords = cmd.coords;
-                        const p0 = { ...currentPos };
-                        let p1, p2, p3;
-
-                        switch (cmd.type) {
-                            case 'C':
-                                // (x1 y1 x2 y2 x3 y3)
-                                p1 = { x: coords[0], y: coords[1] };
-                                p2 = { x: coords[2], y: coords[3] };
-                                p3 = { x: coords[4], y: coords[5] };
-                                break;
-
-                            case 'V':
-                                // PDF 'v': first control point is current point
-                                // (x2 y2 x3 y3)
-                                p1 = { ...currentPos };
-                                p2 = { x: coords[0], y: coords[1] };
-                                p3 = { x: coords[2], y: coords[3] };
-                                break;
-
-                            case 'Y':
-                                // PDF 'y': second control point is endpoint
-                                // (x1 y1 x3 y3)
-                                p1 = { x: coords[0], y: coords[1] };
-                                p3 = { x: coords[2], y: coords[3] };
-                                p2 = { ...p3 };
-                                break;
-
-                            default:
-                                throw new Error(`Unsupported curve type: ${cmd.type}`);
-                        }
+                    currentPos = { ...p3 };
+                    break;
+                }
+            }
+        }
 
-                        const curvePoints = this._tessellateCubicBezier(
-                            p0, p1, p2, p3,
-                            CURVE_TOLERANCE,
-                            CURVE_MAX_DEPTH
-                        );
-
-                        for (let i = 0; i < curvePoints.length; i++) {
-                            const pt = curvePoints[i];
-                            if (polyline.length > 0) {
-                                const last = polyline[polyline.length - 1];
-                                if (last.x === pt.x && last.y === pt.y) {
-                                    continue;
-                                }
-                            }
-                            polyline.push({ ...pt });
-                        }
+        flush();
+        return subpaths;
+    }
 
-                        currentPos = { ...p3 };
-                        break;
+    // --- Clipping helpers ---------------------------------------------------
+
+    /**
+     * Test whether a point lies inside one clip entry, using the entry's
+     * fill rule.  Points within CLIP_TOLERANCE of the boundary count as
+     * inside, so axis frames drawn exactly on the clip edge survive.
+     */
+    _pointInClipEntry(p, entry) {
+        const { bounds } = entry;
+        if (p.x < bounds.minX - CLIP_TOLERANCE || p.x > bounds.maxX + CLIP_TOLERANCE ||
+            p.y < bounds.minY - CLIP_TOLERANCE || p.y > bounds.maxY + CLIP_TOLERANCE) {
+            return false;
+        }
+
+        let winding = 0;
+        let crossings = 0;
+
+        for (const polygon of entry.polygons) {
+            const n = polygon.length;
+            for (let i = 0; i < n; i++) {
+                const a = polygon[i];
+                const b = polygon[(i + 1) % n];
+
+                if (this._distPointToSegment(p, a, b) <= CLIP_TOLERANCE) {
+                    return true;
+                }
+
+                // Ray cast towards +x
+                if ((a.y <= p.y) !== (b.y <= p.y)) {
+                    const xCross = a.x + (p.y - a.y) / (b.y - a.y) * (b.x - a.x);
+                    if (xCross > p.x) {
+                        crossings++;
+                        winding += b.y > a.y ? 1 : -1;
                     }
                 }
             }
+        }
 
-            // Add the last polyline if it has points
-            if (polyline.length > 0) {
-                curves.push({
-                    points: polyline,
-                    operation: path.operation,
-                    pathIndex: pathIndex
-                });
+        return entry.rule === 'evenodd' ? (crossings % 2 === 1) : (winding !== 0);
+    }
+
+    _pointInClipRegion(p, clipRegion) {
+        return clipRegion.every(entry => this._pointInClipEntry(p, entry));
+    }
+
+    _distPointToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const len2 = dx * dx + dy * dy;
+        if (len2 < Number.EPSILON) {
+            return this._dist(p, a);
+        }
+
+        const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+        return this._dist(p, { x: a.x + t * dx, y: a.y + t * dy });
+    }
+
+    /**
+     * Parameters t in (0, 1) where segment a-b crosses a clip boundary edge
+     */
+    _clipCrossings(a, b, clipRegion) {
+        const ts = [];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+
+        for (const entry of clipRegion) {
+            for (const polygon of entry.polygons) {
+                const n = polygon.length;
+                for (let i = 0; i < n; i++) {
+                    const p = polygon[i];
+                    const q = polygon[(i + 1) % n];
+                    const ex = q.x - p.x;
+                    const ey = q.y - p.y;
+
+                    const denom = dx * ey - dy * ex;
+                    if (Math.abs(denom) < Number.EPSILON) {
+                        continue; // parallel
+                    }
+
+                    const t = ((p.x - a.x) * ey - (p.y - a.y) * ex) / denom;
+                    const u = ((p.x - a.x) * dy - (p.y - a.y) * dx) / denom;
+                    if (t > 0 && t < 1 && u >= 0 && u <= 1) {
+                        ts.push(t);
+                    }
+                }
+            }
+        }
+
+        return ts;
+    }
+
+    /**
+     * Split a polyline against the clip region.  Returns the visible and
+     * clipped-off runs as separate polylines.
+     */
+    _clipPolyline(points, clipRegion) {
+        const visible = [];
+        const hidden = [];
+
+        if (points.length === 1) {
+            (this._pointInClipRegion(points[0], clipRegion) ? visible : hidden).push([{ ...points[0] }]);
+            return { visible, hidden };
+        }
+
+        let run = null;
+        let runInside = null;
+        const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const ts = [0, ...this._clipCrossings(a, b, clipRegion).sort((m, n) => m - n), 1];
+
+            for (let j = 0; j < ts.length - 1; j++) {
+                if (ts[j + 1] - ts[j] < 1e-9) {
+                    continue;
+                }
+
+                const start = j === 0 ? { ...a } : lerp(a, b, ts[j]);
+                const end = j === ts.length - 2 ? { ...b } : lerp(a, b, ts[j + 1]);
+                const inside = this._pointInClipRegion(lerp(a, b, (ts[j] + ts[j + 1]) / 2), clipRegion);
+
+                if (run && runInside === inside) {
+                    run.push(end);
+                } else {
+                    if (run) {
+                        (runInside ? visible : hidden).push(run);
+                    }
+                    run = [start, end];
+                    runInside = inside;
+                }
             }
         }
 
+        if (run) {
+            (runInside ? visible : hidden).push(run);
+        }
+
+        return { visible, hidden };
+    }
+
+    /**
+     * Build a curve record, carrying the paint style of its source path
+     */
+    _makeCurve(points, path, pathIndex, subpathIndex, clipped = false) {
+        return {
+            points: points,
+            operation: path.operation,
+            pathIndex: pathIndex,
+            subpathIndex: subpathIndex,
+            strokeColor: path.strokeColor || null,
+            fillColor: path.fillColor || null,
+            strokeStyle: path.strokeStyle || null,
+            clipped: clipped
+        };
+    }
+
+    /**
+     * Get curves as polylines (connected line segments)
+     * Each curve is represented as an array of points
+     *
+     * Stroked polylines are cut to the clip region in effect when they were
+     * painted; only the visible runs are returned (flagged clipped when
+     * something was cut away) and the hidden runs are kept for display via
+     * getClippedSegments().  Filled paths are dropped only when entirely
+     * outside the clip.
+     */
+    getCurves() {
+        if (this.curvesCache) {
+            return this.curvesCache;
+        }
+
+        const curves = [];
+        this.clippedSegments = [];
+
+        for (let pathIndex = 0; pathIndex < this.paths.length; pathIndex++) {
+            const path = this.paths[pathIndex];
+            const clipRegion = path.clipRegion;
+
+            this._pathToSubpaths(path).forEach((subpath, subpathIndex) => {
+                // Rectangles are still offered edge by edge for calibration
+                const pieces = [];
+                if (subpath.isRect) {
+                    for (let i = 0; i < 4; i++) {
+                        const a = subpath.points[i];
+                        const b = subpath.points[i + 1];
+                        pieces.push([{ ...a }, { ...b }, { ...a }]);
+                    }
+                } else {
+                    pieces.push(subpath.points);
+                }
+
+                for (const piece of pieces) {
+                    if (!clipRegion || clipRegion.length === 0) {
+                        curves.push(this._makeCurve(piece, path, pathIndex, subpathIndex));
+                        continue;
+                    }
+
+                    const { visible, hidden } = this._clipPolyline(piece, clipRegion);
+
+                    if (!path.strokeStyle) {
+                        if (visible.length > 0) {
+                            curves.push(this._makeCurve(piece, path, pathIndex, subpathIndex));
+                        } else {
+                            this.clippedSegments.push({ points: piece, pathIndex: pathIndex });
+                        }
+                        continue;
+                    }
+
+                    for (const run of visible) {
+                        curves.push(this._makeCurve(run, path, pathIndex, subpathIndex, hidden.length > 0));
+                    }
+                    for (const run of hidden) {
+                        this.clippedSegments.push({ points: run, pathIndex: pathIndex });
+                    }
+                }
+            });
+        }
+
+        this.curvesCache = curves;
         return curves;
     }
+
+    /**
+     * Portions of painted paths that fall outside their clip region
+     */
+    getClippedSegments() {
+        this.getCurves();
+        return this.clippedSegments;
+    }
 }
@@ -5,27 +5,36 @@
  * See LICENSE file in the project root for full license information.
  */
 
+// The package's own pdf.js build, so the app needs no CDN and works offline
+const PDFJS_LIB = new URL('../node_modules/pdfjs-dist/build/pdf.min.mjs', import.meta.url).href;
+const PDFJS_WORKER = new URL('../node_modules/pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).href;
+
 export class PDFLoader {
-    constructor() {
+    /**
+     * pdfjsLib - an already loaded pdf.js module to use instead of the
+     *            node_modules build, e.g. pdfjs-dist's legacy build under Node
+     */
+    constructor(pdfjsLib = null) {
         this.pdfDocument = null;
         this.currentPageObject = null;
         this.scale = 1.5;
         this.rotation = 0; // Add rotation state (0, 90, 180, 270)
         this.pdfjsLib = null;
-        this.ready = this.initPDFJS();
+        this.ready = this.initPDFJS(pdfjsLib);
     }
 
-    async initPDFJS() {
+    async initPDFJS(pdfjsLib = null) {
+        if (pdfjsLib) {
+            this.pdfjsLib = pdfjsLib;
+            return;
+        }
+
         try {
-            // Import PDF.js from CDN using ES modules.
-            // Use the official ESM build directly — the jsdelivr "+esm" re-bundle
-            // injects a `process` shim that makes PDF.js think it is running in
-            // Node.js, which breaks canvas creation for PDFs with embedded images.
-            this.pdfjsLib = await import('https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.min.mjs');
-            
+            this.pdfjsLib = await import(PDFJS_LIB);
+
             // Configure the worker
-            this.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.worker.min.mjs';
-            
+            this.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER;
+
             console.log('PDF.js loaded successfully');
         } catch (error) {
             console.error('Error loading PDF.js:', error);
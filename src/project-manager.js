@@ -0,0 +1,187 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const PROJECT_FORMAT = 'unplotter-project';
+// 2: one calibration per page or figure region (calibrations), keyed from
+//    each labeled curve; version 1 files held a single calibration
+const PROJECT_VERSION = 2;
+
+export class ProjectManager {
+    constructor() {
+        this.project = null;
+    }
+
+    /**
+     * Identify a loaded PDF document.  pdf.js derives the fingerprint from
+     * the file ID (or the file contents when there is none), so it survives
+     * renaming the file.
+     */
+    getFingerprint(pdfDocument) {
+        if (!pdfDocument || !pdfDocument.fingerprints) {
+            return null;
+        }
+        return pdfDocument.fingerprints[0] || null;
+    }
+
+    /**
+     * Build a project object.  Labeled curves are stored as references
+     * (page and curve index) rather than points, and are re-extracted from
+     * the PDF when the project is opened.  calibrations maps calibration
+     * keys (a page, or a figure region on a page) to calibration
+     * snapshots; each labeled curve names its key.
+     */
+    createProject({ pdfDocument, fileName, pageNum, rotation, scale, calibrations, figureRegions, labeledCurves }) {
+        this.project = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            savedAt: new Date().toISOString(),
+            pdf: {
+                fingerprint: this.getFingerprint(pdfDocument),
+                fileName: fileName || null,
+                numPages: pdfDocument ? pdfDocument.numPages : null
+            },
+            view: {
+                pageNum: pageNum,
+                rotation: rotation,
+                scale: scale
+            },
+            calibrations: calibrations,
+            figureRegions: (figureRegions || []).map(({ id, name, pageNum, rect }) => ({ id, name, pageNum, rect })),
+            labeledCurves: labeledCurves.map(({ label, kind, curves, errorBarCurves, barLayout, calibrationKey }) => ({
+                label: label,
+                kind: kind || 'curves',
+                calibrationKey: calibrationKey,
+                curves: this.curveReferences(curves),
+                errorBarCurves: this.curveReferences(errorBarCurves || []),
+                barLayout: barLayout || null
+            }))
+        };
+
+        return this.project;
+    }
+
+    curveReferences(curves) {
+        return curves.map(curve => ({
+            pageNum: curve.pageNum,
+            curveIndex: curve.curveIndex
+        }));
+    }
+
+    /**
+     * Turn stored curve references back into labeled curves by extracting
+     * their pages again with the given PathExtractor.  Curves missing from
+     * the document are skipped with a warning, and series left with no
+     * curves are dropped.
+     */
+    async resolveLabeledCurves(references, pdfDocument, pathExtractor) {
+        const curvesByPage = new Map();
+
+        const resolve = async (refs, label) => {
+            const restoredCurves = [];
+
+            for (const { pageNum, curveIndex } of refs) {
+                if (!curvesByPage.has(pageNum)) {
+                    if (pageNum < 1 || pageNum > pdfDocument.numPages) {
+                        curvesByPage.set(pageNum, []);
+                    } else {
+                        const page = await pdfDocument.getPage(pageNum);
+                        await pathExtractor.extractPaths(page);
+                        curvesByPage.set(pageNum, pathExtractor.getCurves());
+                    }
+                }
+
+                const pageCurves = curvesByPage.get(pageNum);
+                if (curveIndex >= 0 && curveIndex < pageCurves.length) {
+                    restoredCurves.push({ ...pageCurves[curveIndex], curveIndex, pageNum });
+                } else {
+                    console.warn(`Curve ${curveIndex} on page ${pageNum} of "${label}" not found in this PDF`);
+                }
+            }
+
+            return restoredCurves;
+        };
+
+        const resolved = [];
+        for (const { label, kind, curves, errorBarCurves, barLayout, calibrationKey } of references) {
+            const restoredCurves = await resolve(curves, label);
+
+            if (restoredCurves.length > 0) {
+                const series = { label, curves: restoredCurves, calibrationKey };
+                if (kind && kind !== 'curves') series.kind = kind;
+                if (errorBarCurves && errorBarCurves.length > 0) {
+                    series.errorBarCurves = await resolve(errorBarCurves, label);
+                }
+                if (barLayout) series.barLayout = barLayout;
+                resolved.push(series);
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Parse and validate project file text; throws on anything that is not
+     * an UnPlotter project this version can read.
+     */
+    parseProject(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Project file is not valid JSON');
+        }
+
+        if (!project || project.format !== PROJECT_FORMAT) {
+            throw new Error('Not an UnPlotter project file');
+        }
+        if (project.version > PROJECT_VERSION) {
+            throw new Error(`Project file version ${project.version} is newer than this version of UnPlotter supports`);
+        }
+        if (project.version === 1) {
+            this.migrateVersion1(project);
+        } else if (project.version !== PROJECT_VERSION) {
+            throw new Error(`Project file version ${project.version} is not supported`);
+        }
+        if (!project.view || !project.calibrations || !Array.isArray(project.labeledCurves)) {
+            throw new Error('Project file is incomplete');
+        }
+
+        this.project = project;
+        return project;
+    }
+
+    /**
+     * Version 1 projects have a single calibration, made on the page the
+     * project was saved on and applied to every labeled curve; file it under
+     * that page's calibration key
+     */
+    migrateVersion1(project) {
+        if (!project.view || !project.calibration) return;
+
+        const key = `page-${project.view.pageNum}`;
+        project.calibrations = { [key]: project.calibration };
+        delete project.calibration;
+        (project.labeledCurves || []).forEach(lc => {
+            if (!lc.calibrationKey) lc.calibrationKey = key;
+        });
+        project.version = PROJECT_VERSION;
+    }
+
+    async readProjectFile(file) {
+        const text = await file.text();
+        return this.parseProject(text);
+    }
+
+    matchesDocument(project, pdfDocument) {
+        const fingerprint = this.getFingerprint(pdfDocument);
+        return !project.pdf || !project.pdf.fingerprint || project.pdf.fingerprint === fingerprint;
+    }
+
+    exportAsJSON(project = this.project) {
+        return JSON.stringify(project, null, 2);
+    }
+}
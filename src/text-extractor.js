@@ -0,0 +1,194 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+const SUPERSCRIPTS = {
+    '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4',
+    '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9',
+    '⁻': '-', '⁺': '+'
+};
+
+// Height of a digit's visual center above the baseline, as a fraction of font size
+const DIGIT_CENTER = 0.35;
+
+export class TextExtractor {
+    constructor() {
+        this.labels = [];
+    }
+
+    /**
+     * Extract numeric text labels (tick labels) from a PDF page.
+     * Positions are label centers in raw PDF coordinates, the same space
+     * PathExtractor uses for curves.
+     */
+    async extractNumericLabels(page) {
+        this.labels = [];
+
+        try {
+            const textContent = await page.getTextContent();
+
+            const items = textContent.items
+                .filter(item => typeof item.str === 'string' && item.str.trim() !== '')
+                .map(item => this.describeItem(item));
+
+            const used = new Set();
+
+            items.forEach((item, index) => {
+                if (used.has(index)) return;
+
+                let value = this.parseNumber(item.text);
+                let text = item.text;
+                let center = item.center;
+                let bounds = item.bounds;
+
+                // "10" followed by a raised exponent, as typeset on log axes
+                if (item.text === '10') {
+                    const expIndex = this.findExponent(item, items, used);
+                    if (expIndex >= 0) {
+                        const exp = items[expIndex];
+                        value = Math.pow(10, this.parseNumber(exp.text));
+                        text = `10^${exp.text}`;
+                        used.add(expIndex);
+
+                        // Center the label on base and exponent together
+                        const end = {
+                            x: exp.origin.x + exp.along.x * exp.width,
+                            y: exp.origin.y + exp.along.y * exp.width
+                        };
+                        center = {
+                            x: (item.origin.x + end.x) / 2 + item.up.x * item.height * DIGIT_CENTER,
+                            y: (item.origin.y + end.y) / 2 + item.up.y * item.height * DIGIT_CENTER
+                        };
+                        bounds = {
+                            minX: Math.min(item.bounds.minX, exp.bounds.minX),
+                            minY: Math.min(item.bounds.minY, exp.bounds.minY),
+                            maxX: Math.max(item.bounds.maxX, exp.bounds.maxX),
+                            maxY: Math.max(item.bounds.maxY, exp.bounds.maxY)
+                        };
+                    }
+                }
+
+                if (value === null || !isFinite(value)) return;
+
+                used.add(index);
+                this.labels.push({
+                    text: text,
+                    value: value,
+                    x: center.x,
+                    y: center.y,
+                    height: item.height,
+                    bounds: bounds
+                });
+            });
+
+            console.log(`Extracted ${this.labels.length} numeric text labels`);
+            return this.labels;
+        } catch (error) {
+            console.error('Error extracting text:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Geometry of a text item: baseline origin, reading direction and center
+     */
+    describeItem(item) {
+        const [a, b, c, d, e, f] = item.transform;
+        const alongLen = Math.hypot(a, b) || 1;
+        const upLen = Math.hypot(c, d) || 1;
+        const along = { x: a / alongLen, y: b / alongLen };
+        const up = { x: c / upLen, y: d / upLen };
+        const height = item.height || upLen;
+
+        // Axis-aligned bounding box of the (possibly rotated) text
+        const corners = [
+            { x: e, y: f },
+            { x: e + along.x * item.width, y: f + along.y * item.width },
+            { x: e + up.x * height, y: f + up.y * height },
+            { x: e + along.x * item.width + up.x * height, y: f + along.y * item.width + up.y * height }
+        ];
+
+        return {
+            text: item.str.trim(),
+            origin: { x: e, y: f },
+            along: along,
+            up: up,
+            width: item.width,
+            height: height,
+            // Digits sit on the baseline and reach roughly 0.7 em, so their
+            // visual center is lower than half the font height
+            center: {
+                x: e + along.x * item.width / 2 + up.x * height * DIGIT_CENTER,
+                y: f + along.y * item.width / 2 + up.y * height * DIGIT_CENTER
+            },
+            bounds: {
+                minX: Math.min(...corners.map(p => p.x)),
+                minY: Math.min(...corners.map(p => p.y)),
+                maxX: Math.max(...corners.map(p => p.x)),
+                maxY: Math.max(...corners.map(p => p.y))
+            }
+        };
+    }
+
+    /**
+     * Find a smaller, raised integer item just after a "10" base item
+     */
+    findExponent(base, items, used) {
+        const endX = base.origin.x + base.along.x * base.width;
+        const endY = base.origin.y + base.along.y * base.width;
+
+        return items.findIndex((item, index) => {
+            if (used.has(index) || item === base) return false;
+            if (!/^[-−+]?\d+$/.test(item.text)) return false;
+            if (item.height >= base.height * 0.95) return false;
+
+            // Offset of the exponent origin from the end of the base, in the
+            // base text's own along/up frame
+            const dx = item.origin.x - endX;
+            const dy = item.origin.y - endY;
+            const along = dx * base.along.x + dy * base.along.y;
+            const rise = dx * base.up.x + dy * base.up.y;
+
+            return along > -0.3 * base.height && along < 0.6 * base.height &&
+                   rise > 0.15 * base.height && rise < 1.0 * base.height;
+        });
+    }
+
+    /**
+     * Parse a tick label string into a number, or null if it is not numeric.
+     * Handles unicode minus, thousands separators, scientific notation,
+     * percentages and "10^n" / "10ⁿ" forms.
+     */
+    parseNumber(text) {
+        let s = text.trim()
+            .replace(/[\u2212\u2013]/g, '-')
+            .replace(/[\s\u00a0]/g, '')
+            .replace(/%$/, '');
+
+        // 10^3, 10ˆ3, 10³, 1×10^3, 1x10³
+        s = s.replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+/g, m => '^' + [...m].map(ch => SUPERSCRIPTS[ch]).join(''));
+        const pow = s.match(/^(?:([-+]?\d*\.?\d+)\s*[x×·]\s*)?10\s*[\^ˆ]\s*\(?([-+]?\d+)\)?$/);
+        if (pow) {
+            const mantissa = pow[1] !== undefined ? parseFloat(pow[1]) : 1;
+            return mantissa * Math.pow(10, parseInt(pow[2], 10));
+        }
+
+        // Thousands separators, e.g. 1,000 or 12,500.5
+        if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) {
+            s = s.replace(/,/g, '');
+        }
+
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) {
+            return null;
+        }
+
+        return parseFloat(s);
+    }
+
+    getLabels() {
+        return this.labels;
+    }
+}
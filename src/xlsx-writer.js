@@ -0,0 +1,250 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+// Excel limits sheet names to 31 characters, without : \ / ? * [ ]
+const MAX_SHEET_NAME = 31;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Minimal .xlsx workbook writer: plain sheets of numbers and text, written
+ * as SpreadsheetML parts in an uncompressed ZIP, so no library is needed
+ * in the browser.
+ */
+export class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+    }
+
+    /**
+     * Add a sheet.  rows is an array of rows, each an array of cells:
+     * numbers, strings, or null/undefined for an empty cell.  Rows whose
+     * indices are in boldRows (the first row by default) are bold.  The
+     * name is cleaned up and made unique; the name actually used is
+     * returned.  Rows are kept by reference and written out by toBytes.
+     */
+    addSheet(name, rows, boldRows = [0]) {
+        let base = String(name)
+            .replace(/[:\\/?*[\]]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .replace(/^'+|'+$/g, '')
+            .trim() || 'Sheet';
+        base = base.slice(0, MAX_SHEET_NAME);
+
+        let unique = base;
+        for (let n = 2; this.sheets.some(sheet => sheet.name.toLowerCase() === unique.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            unique = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+        }
+
+        this.sheets.push({ name: unique, rows, boldRows });
+        return unique;
+    }
+
+    toBytes() {
+        const files = [
+            { name: '[Content_Types].xml', text: this.contentTypesXml() },
+            { name: '_rels/.rels', text: this.rootRelsXml() },
+            { name: 'xl/workbook.xml', text: this.workbookXml() },
+            { name: 'xl/_rels/workbook.xml.rels', text: this.workbookRelsXml() },
+            { name: 'xl/styles.xml', text: this.stylesXml() },
+            ...this.sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, text: this.sheetXml(sheet) }))
+        ];
+
+        return zipStored(files);
+    }
+
+    contentTypesXml() {
+        const sheets = this.sheets.map((_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('');
+
+        return XML_HEADER +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets +
+            '</Types>';
+    }
+
+    rootRelsXml() {
+        return XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    workbookXml() {
+        const sheets = this.sheets.map((sheet, i) =>
+            `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+        ).join('');
+
+        return XML_HEADER +
+            `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`;
+    }
+
+    workbookRelsXml() {
+        const sheets = this.sheets.map((_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('');
+
+        return XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets +
+            `<Relationship Id="rId${this.sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    /**
+     * Two cell formats: 0 is the default, 1 is bold for header rows
+     */
+    stylesXml() {
+        return XML_HEADER +
+            `<styleSheet xmlns="${MAIN_NS}">` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>';
+    }
+
+    sheetXml(sheet) {
+        const rows = sheet.rows.map((cells, r) => {
+            const style = sheet.boldRows.includes(r) ? ' s="1"' : '';
+            const xml = cells.map((value, c) => {
+                const ref = columnName(c) + (r + 1);
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                if (typeof value === 'string' && value.length > 0) {
+                    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+                }
+                return '';
+            }).join('');
+            return `<row r="${r + 1}">${xml}</row>`;
+        }).join('');
+
+        return XML_HEADER + `<worksheet xmlns="${MAIN_NS}"><sheetData>${rows}</sheetData></worksheet>`;
+    }
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index: 0 → A, 26 → AA
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP archive of text files, stored without compression
+ */
+function zipStored(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.text);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const size = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length + 46 + e.name.length, 0) + 22;
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    const header = (signature, e, central, localOffset) => {
+        view.setUint32(offset, signature, true);
+        offset += 4;
+        if (central) {
+            view.setUint16(offset, 20, true);       // version made by
+            offset += 2;
+        }
+        view.setUint16(offset, 20, true);           // version needed
+        view.setUint16(offset + 2, 0x0800, true);   // UTF-8 names
+        view.setUint16(offset + 4, 0, true);        // stored
+        view.setUint16(offset + 6, 0, true);        // time
+        view.setUint16(offset + 8, 0x21, true);     // date: 1980-01-01
+        view.setUint32(offset + 10, e.crc, true);
+        view.setUint32(offset + 14, e.data.length, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint16(offset + 22, e.name.length, true);
+        view.setUint16(offset + 24, 0, true);       // extra field length
+        offset += 26;
+        if (central) {
+            view.setUint16(offset, 0, true);        // comment length
+            view.setUint16(offset + 2, 0, true);    // disk number
+            view.setUint16(offset + 4, 0, true);    // internal attributes
+            view.setUint32(offset + 6, 0, true);    // external attributes
+            view.setUint32(offset + 10, localOffset, true);
+            offset += 14;
+        }
+        bytes.set(e.name, offset);
+        offset += e.name.length;
+    };
+
+    entries.forEach(e => {
+        e.offset = offset;
+        header(0x04034b50, e, false);
+        bytes.set(e.data, offset);
+        offset += e.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach(e => header(0x02014b50, e, true, e.offset));
+    const centralSize = offset - centralStart;
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralStart, true);
+    view.setUint16(offset + 20, 0, true);
+
+    return bytes;
+}
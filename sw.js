@@ -0,0 +1,108 @@
+/**
+ * UnPlotter - PDF Data Extractor
+ * Copyright (c) 2025 Robert McDonald
+ * Licensed under the MIT License
+ * See LICENSE file in the project root for full license information.
+ */
+
+/**
+ * Service worker: keeps the app shell, including pdf.js and the icon font
+ * from node_modules, in a cache so UnPlotter starts and works without a network
+ * connection.  Files are
+ * served from the cache and refreshed in the background, so an update is
+ * picked up on the next visit.  Bump the cache version when the shell list
+ * changes.
+ */
+
+const CACHE_NAME = 'unplotter-v4';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'UnPlotter.html',
+    'help.html',
+    'manifest.webmanifest',
+    'package.json',
+    'styles/main.css',
+    'images/icon.svg',
+    'src/main.js',
+    'src/pdf-loader.js',
+    'src/path-extractor.js',
+    'src/text-extractor.js',
+    'src/canvas-overlay.js',
+    'src/axis-calibrator.js',
+    'src/axis-detector.js',
+    'src/marker-detector.js',
+    'src/bar-detector.js',
+    'src/band-detector.js',
+    'src/xlsx-writer.js',
+    'src/history-manager.js',
+    'src/project-manager.js',
+    'src/data-exporter.js',
+    'node_modules/pdfjs-dist/build/pdf.min.mjs',
+    'node_modules/pdfjs-dist/build/pdf.worker.min.mjs',
+    'node_modules/@fortawesome/fontawesome-free/css/all.min.css',
+    'node_modules/@fortawesome/fontawesome-free/webfonts/fa-brands-400.woff2',
+    'node_modules/@fortawesome/fontawesome-free/webfonts/fa-regular-400.woff2',
+    'node_modules/@fortawesome/fontawesome-free/webfonts/fa-solid-900.woff2',
+    'node_modules/@fortawesome/fontawesome-free/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('unplotter-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Answer from the cache when possible and update the cached copy from the
+ * network; pages not cached fall back to the app when offline
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const app = await cache.match('UnPlotter.html');
+            if (app) return app;
+        }
+        throw error;
+    }
+}